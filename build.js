@@ -1,15 +1,103 @@
 var _ = require('lodash');
-var exec = require('child_process').execSync;
+var spawn = require('child_process').spawn;
+var execSync = require('child_process').execSync;
 var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var yargs = require('yargs');
 
-var excludedDirectories = ['css', 'dist','node_modules','webdriver-java'];
+var excludedDirectories = ['css', 'dist','node_modules','webdriver-java', 'logs', 'shared', 'npm-cache'];
+var logDirectory = 'logs';
 
-_.each(fs.readdirSync('.'), function(name) {
-	if(fs.statSync(name).isDirectory() && name[0] !== '.' && excludedDirectories.indexOf(name)==-1) {
-		console.log("Executing npm run build-prod in "+name);
-		exec('npm run build-prod', {
-			cwd: name,
-			stdio: 'inherit'
-		});
+var args = yargs(process.argv)
+	.usage("$0 [--parallel n] [--only pattern] [--changed-since ref]")
+	.help('help')
+	.default('parallel', os.cpus().length)
+	.describe('parallel', 'Number of builds that run at the same time')
+	.describe('only', 'Build only the directories that match this regular expression')
+	.describe('changed-since', 'Build only the directories with changes since this git ref')
+	.argv;
+
+// The build command can be overridden in the "js-framework-benchmark" section of the package.json
+function buildCommand(name) {
+	var packageJson = path.join(name, 'package.json');
+	if (fs.existsSync(packageJson)) {
+		var section = JSON.parse(fs.readFileSync(packageJson, 'utf8'))['js-framework-benchmark'];
+		var declaration = _.isArray(section) ? section[0] : section;
+		if (declaration && declaration.buildCommand) return declaration.buildCommand;
+	}
+	return 'npm run build-prod';
+}
+
+// Top level directories with changes (committed or not) since ref
+function changedDirectories(ref) {
+	var files = execSync('git diff --name-only ' + ref + ' -- .', {encoding: 'utf8'}).split('\n')
+		.concat(execSync('git ls-files --others --exclude-standard', {encoding: 'utf8'}).split('\n'));
+	return _.uniq(files.filter(function(file) { return file.indexOf('/') > -1; }).map(function(file) { return file.split('/')[0]; }));
+}
+
+// Runs the build in its own process. The output goes to logs/<name>.log such that parallel builds don't interleave.
+function build(name, done) {
+	var command = buildCommand(name);
+	var logFile = path.join(logDirectory, name + '.log');
+	var log = fs.openSync(logFile, 'w');
+	var start = Date.now();
+	console.log("Executing " + command + " in " + name);
+	var child = spawn(command, [], {cwd: name, shell: true, stdio: ['ignore', log, log]});
+	var finished = false;
+	// a child that fails after it was spawned can emit both 'error' and 'exit', only the first one counts
+	var finish = function(error) {
+		if (finished) return;
+		finished = true;
+		fs.closeSync(log);
+		var result = {name: name, command: command, duration: (Date.now() - start) / 1000, error: error, log: logFile};
+		console.log((error ? "FAILED " : "Built ") + name + " in " + result.duration.toFixed(1) + "s" + (error ? " (" + error + ", see " + logFile + ")" : ""));
+		done(result);
+	};
+	child.on('error', function(err) { finish(err.message); });
+	child.on('exit', function(code, signal) { finish(code === 0 ? null : (signal ? "killed by " + signal : "exit code " + code)); });
+}
+
+function summary(results) {
+	var failed = results.filter(function(r) { return r.error; });
+	console.log("\nBuilt " + (results.length - failed.length) + " of " + results.length + " directories");
+	_.sortBy(results, 'name').forEach(function(r) {
+		console.log((r.error ? "  FAILED " : "  ok     ") + _.padEnd(r.name, 40) + _.padStart(r.duration.toFixed(1), 8) + "s" + (r.error ? "  " + r.log : ""));
+	});
+	if (failed.length > 0) process.exitCode = 1;
+}
+
+// a package cache created by install.js --populate --cache <dir> contains _cacache
+var directories = fs.readdirSync('.').filter(function(name) {
+	return fs.statSync(name).isDirectory() && name[0] !== '.' && excludedDirectories.indexOf(name)==-1
+		&& !fs.existsSync(path.join(name, '_cacache'));
+});
+if (args.only) {
+	var only = new RegExp(args.only);
+	directories = directories.filter(function(name) { return only.test(name); });
+}
+if (args.changedSince) {
+	var changed = changedDirectories(args.changedSince);
+	directories = directories.filter(function(name) { return changed.indexOf(name) > -1; });
+}
+
+if (!fs.existsSync(logDirectory)) fs.mkdirSync(logDirectory);
+
+var queue = directories.slice();
+var results = [];
+var running = 0;
+function next() {
+	if (queue.length === 0) {
+		if (running === 0) summary(results);
+		return;
 	}
-});
\ No newline at end of file
+	if (running >= args.parallel) return;
+	running++;
+	build(queue.shift(), function(result) {
+		running--;
+		results.push(result);
+		next();
+	});
+	next();
+}
+next();
@@ -39,7 +39,7 @@ fs.copySync("index.html", "dist"+path.sep+"index.html");
 fs.copySync("css", "dist"+path.sep+"css");
 
 var excludes = ["node_modules","elm-stuff","project",".DS_Store"]
-var excludedDirectories = ['css', 'dist','node_modules','webdriver-java', 'webdriver-ts'];
+var excludedDirectories = ['css', 'dist','node_modules','webdriver-java', 'webdriver-ts', 'logs', 'shared', 'npm-cache'];
 
 // http://stackoverflow.com/questions/13786160/copy-folder-recursively-in-node-js
 function copyFileSync( source, target ) {
@@ -99,8 +99,10 @@ function copyFolderRecursiveSync( source, target ) {
     }
 }
 
+// a package cache created by install.js --populate --cache <dir> contains _cacache
 _.each(fs.readdirSync('.'), function(name) {
-	if(fs.statSync(name).isDirectory() && name[0] !== '.' && excludedDirectories.indexOf(name)==-1) {
+	if(fs.statSync(name).isDirectory() && name[0] !== '.' && excludedDirectories.indexOf(name)==-1
+		&& !fs.existsSync(path.join(name, '_cacache'))) {
 		console.log("dist"+path.sep+name);
 		fs.mkdirSync("dist"+path.sep+name);
 		copyFolderRecursiveSync(name, "dist");
@@ -5,23 +5,7 @@ import {
     Component, Model, ModelComponent
 } from 'fronty'
 
-var startTime;
-var lastMeasure;
-var startMeasure = function(name) {
-    startTime = performance.now();
-    lastMeasure = name;
-}
-var stopMeasure = function() {
-    var last = lastMeasure;
-    if (lastMeasure) {
-        window.setTimeout(function() {
-            lastMeasure = null;
-            var stop = performance.now();
-            var duration = 0;
-            console.log(last + " took " + (stop - startTime));
-        }, 0);
-    }
-}
+import {startMeasure, stopMeasure} from '../../shared/timing'
 
 function _random(max) {
     return Math.round(Math.random() * 1000) % max;
@@ -101,6 +85,23 @@ class MainComponent extends ModelComponent {
         });
     }
 
+    hideAll() {
+        this.store.set(() => {
+            // a second hideAll must not replace the hidden rows with the empty list
+            if (!this.store.backup || this.store.data.length > 0) this.store.backup = this.store.data;
+            this.store.data = [];
+        });
+    }
+
+    showAll() {
+        if (this.store.backup) {
+            this.store.set(() => {
+                this.store.data = this.store.backup;
+                this.store.backup = null;
+            });
+        }
+    }
+
     updateRows(mod = 10) {
         for (let i = 0; i < this.store.data.length; i += mod) {
             this.store.data[i].set((item) => {
@@ -255,6 +256,16 @@ class Main {
         this.mainComponent.clear();
         stopMeasure();
     }
+    hideAll() {
+        startMeasure("hideAll");
+        this.mainComponent.hideAll();
+        stopMeasure();
+    }
+    showAll() {
+        startMeasure("showAll");
+        this.mainComponent.showAll();
+        stopMeasure();
+    }
     swapRows() {
         startMeasure("swapRows");
         this.mainComponent.swapRows();
@@ -1,23 +1,146 @@
 var _ = require('lodash');
 var exec = require('child_process').execSync;
 var fs = require('fs');
+var path = require('path');
+var fse = require('fs-extra');
 var commandExists = require('command-exists');
+var yargs = require('yargs');
 
 var installCommand = 'npm install';
 
-var excludedDirectories = ['css', 'dist','node_modules','webdriver-java'];
+var excludedDirectories = ['css', 'dist','node_modules','webdriver-java', 'logs', 'shared'];
 
-commandExists('yarn', function(err, commandExists) {
+var args = yargs(process.argv)
+	.usage("$0 [--populate | --offline] [--cache dir] [--only pattern]")
+	.help('help')
+	.boolean('populate')
+	.boolean('offline')
+	.default('cache', 'npm-cache')
+	.describe('populate', 'Install from the registry and fill the cache for offline installs')
+	.describe('offline', 'Install from the cache without network access')
+	.describe('cache', 'npm cache directory, git dependencies are vendored in its vendor subdirectory')
+	.describe('only', 'Install only the directories that match this regular expression')
+	.argv;
 
-	installCommand = commandExists ? 'yarn' : 'npm install';
+var cacheDir = path.resolve(args.cache);
+var vendorDir = path.join(cacheDir, 'vendor');
+// Maps "directory/dependency" to the tarball of a vendored git dependency
+var vendorIndexFile = path.join(vendorDir, 'index.json');
 
-	_.each(fs.readdirSync('.'), function(name) {
-		if(fs.statSync(name).isDirectory() && name[0] !== '.' && excludedDirectories.indexOf(name)==-1) {
+function isGitDependency(version) {
+	return /^(git(\+[a-z]+)?:|github:|gitlab:|bitbucket:)/.test(version) || /^[\w-]+\/[\w.-]+(#.*)?$/.test(version);
+}
+
+function gitDependencies(name) {
+	var packageJson = JSON.parse(fs.readFileSync(path.join(name, 'package.json'), 'utf8'));
+	var result = {};
+	['dependencies', 'devDependencies'].forEach(function(section) {
+		_.forEach(packageJson[section], function(version, dependency) {
+			if (isGitDependency(version)) result[dependency] = {section: section, version: version};
+		});
+	});
+	return result;
+}
+
+function readVendorIndex() {
+	return fs.existsSync(vendorIndexFile) ? JSON.parse(fs.readFileSync(vendorIndexFile, 'utf8')) : {};
+}
+
+// Packs the git dependencies into tarballs such that they can be installed without access to the git server
+function vendorGitDependencies(name, vendorIndex) {
+	_.forEach(gitDependencies(name), function(dependency, dependencyName) {
+		console.log("Vendoring " + dependencyName + " (" + dependency.version + ") for " + name);
+		var output = exec('npm pack ' + JSON.stringify(dependency.version) + ' --cache ' + JSON.stringify(cacheDir), {cwd: vendorDir, encoding: 'utf8'});
+		var tarball = _.last(output.trim().split('\n'));
+		vendorIndex[name + '/' + dependencyName] = tarball;
+	});
+}
+
+// Calls fun with the directory to install in. For directories with git dependencies that's a temporary directory in
+// the cache with a copy of the package.json that refers to the vendored tarballs instead. Its node_modules are moved
+// to the framework afterwards, so the tracked package.json is never modified, even if the install is interrupted.
+function withVendoredDependencies(name, vendorIndex, fun) {
+	var dependencies = gitDependencies(name);
+	if (_.isEmpty(dependencies)) return fun(name);
+	var packageJson = JSON.parse(fs.readFileSync(path.join(name, 'package.json'), 'utf8'));
+	_.forEach(dependencies, function(dependency, dependencyName) {
+		var tarball = vendorIndex[name + '/' + dependencyName];
+		if (!tarball) throw new Error("No vendored tarball for the git dependency " + dependencyName + ". Run install.js --populate first.");
+		packageJson[dependency.section][dependencyName] = 'file:' + path.join(vendorDir, tarball);
+	});
+	var installDir = path.join(cacheDir, 'install-' + name);
+	fse.removeSync(installDir);
+	fs.mkdirSync(installDir);
+	try {
+		fs.writeFileSync(path.join(installDir, 'package.json'), JSON.stringify(packageJson, null, 2));
+		if (fs.existsSync(path.join(name, '.npmrc'))) fse.copySync(path.join(name, '.npmrc'), path.join(installDir, '.npmrc'));
+		fun(installDir);
+		fse.removeSync(path.join(name, 'node_modules'));
+		fs.renameSync(path.join(installDir, 'node_modules'), path.join(name, 'node_modules'));
+	} finally {
+		fse.removeSync(installDir);
+	}
+}
+
+function directories() {
+	var result = fs.readdirSync('.').filter(function(name) {
+		return fs.statSync(name).isDirectory() && name[0] !== '.' && excludedDirectories.indexOf(name)==-1
+			&& path.resolve(name) !== cacheDir;
+	});
+	if (args.only) {
+		var only = new RegExp(args.only);
+		result = result.filter(function(name) { return only.test(name); });
+	}
+	return result;
+}
+
+// Installs every directory with npm using the cache. Failures are collected and reported at the end.
+function installWithCache() {
+	if (!fs.existsSync(cacheDir)) fs.mkdirSync(cacheDir);
+	if (!fs.existsSync(vendorDir)) fs.mkdirSync(vendorDir);
+	var vendorIndex = readVendorIndex();
+	var failed = [];
+	var command = 'npm install --cache ' + JSON.stringify(cacheDir) + (args.offline ? ' --offline' : ' --prefer-online');
+	directories().forEach(function(name) {
+		try {
+			if (args.populate) {
+				vendorGitDependencies(name, vendorIndex);
+				fs.writeFileSync(vendorIndexFile, JSON.stringify(vendorIndex, null, 2));
+			}
+			withVendoredDependencies(name, vendorIndex, function(installDir) {
+				console.log("Executing " + command + " in " + installDir);
+				exec(command, {
+					cwd: installDir,
+					stdio: 'inherit'
+				});
+			});
+		} catch (e) {
+			console.log("FAILED " + name + ": " + e.message);
+			failed.push({name: name, error: e.message});
+		}
+	});
+	if (failed.length > 0) {
+		console.log("\nThese directories can't be installed" + (args.offline ? " offline" : "") + ":");
+		failed.forEach(function(f) { console.log("  " + f.name + ": " + f.error.split('\n')[0]); });
+		process.exitCode = 1;
+	}
+}
+
+if (args.help) {
+	yargs.showHelp();
+} else if (args.populate || args.offline) {
+	installWithCache();
+} else {
+	commandExists('yarn', function(err, commandExists) {
+
+		installCommand = commandExists ? 'yarn' : 'npm install';
+
+		_.each(directories(), function(name) {
 			console.log("Executing "+installCommand+" in "+name);
 			exec(installCommand, {
 				cwd: name,
 				stdio: 'inherit'
 			});
-		}
+		});
 	});
-});
+}
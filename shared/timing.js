@@ -0,0 +1,40 @@
+'use strict';
+
+// User Timing helpers shared by the implementations. startMeasure marks the start of an operation, stopMeasure its
+// end in a timeout, i.e. after the event handler and the synchronous rendering. Each operation is recorded as a
+// performance measure named after it, which the benchmark driver collects with --user-timing.
+// Like the helpers of the other implementations every operation is also printed to the console, see setLogging.
+var lastMeasure = null;
+var logging = true;
+
+function setLogging(enabled) {
+    logging = enabled;
+}
+
+function startMeasure(name) {
+    lastMeasure = name;
+    performance.mark(name + '-start');
+}
+
+function stopMeasure() {
+    var last = lastMeasure;
+    if (last) {
+        window.setTimeout(function() {
+            lastMeasure = null;
+            performance.mark(last + '-stop');
+            performance.measure(last, last + '-start', last + '-stop');
+            performance.clearMarks(last + '-start');
+            performance.clearMarks(last + '-stop');
+            if (logging) {
+                var measures = performance.getEntriesByName(last, 'measure');
+                console.log(last + " took " + measures[measures.length - 1].duration);
+            }
+        }, 0);
+    }
+}
+
+module.exports = {
+    startMeasure: startMeasure,
+    stopMeasure: stopMeasure,
+    setLogging: setLogging
+};
@@ -1,22 +1,6 @@
 'use strict';
 
-var startTime;
-var lastMeasure;
-var startMeasure = function(name) {
-    startTime = performance.now();
-    lastMeasure = name;
-}
-var stopMeasure = function() {
-    var last = lastMeasure;
-    if (lastMeasure) {
-        window.setTimeout(function () {
-            lastMeasure = null;
-            var stop = performance.now();
-            var duration = 0;
-            console.log(last+" took "+(stop-startTime));
-        }, 0);
-    }
-}
+var {startMeasure, stopMeasure} = require('../../shared/timing');
 
 function _random(max) {
     return Math.round(Math.random()*1000)%max;
@@ -65,7 +49,8 @@ class Store {
         this.selected = id;
     }
     hideAll() {
-        this.backup = this.data;
+        // a second hideAll must not replace the hidden rows with the empty list
+        if (!this.backup || this.data.length > 0) this.backup = this.data;
         this.data = [];
         this.selected = null;
     }
@@ -282,6 +267,23 @@ class Main {
         // var last;
         // while (last = tbody.lastChild) tbody.removeChild(last);
     }
+    hideAll() {
+        startMeasure("hideAll");
+        this.store.hideAll();
+        this.removeAllRows();
+        this.rows = [];
+        this.data = [];
+        this.unselect();
+        stopMeasure();
+    }
+    showAll() {
+        startMeasure("showAll");
+        if (this.store.backup) {
+            this.store.showAll();
+            this.appendRows();
+        }
+        stopMeasure();
+    }
     runLots() {
         startMeasure("runLots");
         this.store.runLots();
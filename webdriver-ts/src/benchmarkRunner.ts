@@ -1,23 +1,23 @@
 import * as chrome from 'selenium-webdriver/chrome'
 import {Builder, WebDriver, promise, logging} from 'selenium-webdriver'
-import {BenchmarkType, Benchmark, benchmarks, fileName} from './benchmarks'
-import {forProm, setUseShadowRoot} from './webdriverAccess'
+import {BenchmarkType, Benchmark, benchmarks, fileName, supportsBenchmark, loadBenchmarkModule, typeName} from './benchmarks'
+import {forProm, setShadowRootHost} from './webdriverAccess'
 
 import * as fs from 'fs';
 import * as yargs from 'yargs'; 
-import {JSONResult, config, FrameworkData, frameworks} from './common'
+import * as path from 'path';
+import {JSONResult, JSONResultSample, JSONPhaseResult, config, FrameworkData, frameworks, BROWSERS} from './common'
+import {DeviceProfile, deviceProfiles, parseCpuThrottle, emulationSettings, applyEmulation, mobileProfile, isDevToolsUnsupported} from './emulation'
+import {RunMetadata, newRunId, startRun, setBrowserVersion, archiveResult} from './runs'
+import {measureBundle} from './bundle'
+import {LeakReport, leakChecks, runLeakCheck, findFreePort, checkChromeVersion} from './leakDetector'
+import {Timingresult, TRACE_CATEGORIES, FULL_TRACE_CATEGORIES, readTrace, writeTrace, extractTimings} from './trace'
+import {installPageTiming, readPageTiming, clearUserTiming, readUserTiming} from './pageTiming'
 var chromedriver:any = require('chromedriver');
 var jStat:any = require('jstat').jStat;
 
-interface Timingresult {
-    type: string;
-    ts: number;
-    dur?: number;
-    end?: number;
-    mem?: number;
-}
-
 function clearLogs(driver: WebDriver): promise.Promise<void> {
+    if (config.BROWSER !== 'chrome') return promise.fulfilled<void>();
     return driver.manage().logs().get(logging.Type.PERFORMANCE).then(entries => {
         if (config.LOG_DEBUG) {
             let results = entries.forEach(x => 
@@ -29,37 +29,45 @@ function clearLogs(driver: WebDriver): promise.Promise<void> {
     });
 }
 
-function readLogs(driver: WebDriver): promise.Promise<Timingresult[]> {
-    return driver.manage().logs().get(logging.Type.PERFORMANCE).then(entries => {
-        let click : Timingresult = null;
-        let lastPaint : Timingresult = {type:'paint', ts: 0, dur: 0, end: 0};;
-        let mem : Timingresult = null;
-        let navigationStart : Timingresult = null;
-        let results = entries.forEach(x => 
-        {
-            let e = JSON.parse(x.message).message;
-            if (config.LOG_DEBUG) console.log(e);
-            if (e.params.name==='EventDispatch') {
-                if (e.params.args.data.type==="click") {
-                    let end = +e.params.ts+e.params.dur;
-                    click = {type:'click', ts: +e.params.ts, dur: +e.params.dur, end: end};
-                }
-            } else if (e.params.name==='navigationStart') {
-                    navigationStart = {type:'navigationStart', ts: +e.params.ts, dur: 0, end: +e.params.ts};
-                    console.log("navigationStart found");
-            } else if (e.params.name==='Paint') {
-                if (e.params.ts > lastPaint.ts) {
-                    lastPaint = {type:'paint', ts: +e.params.ts, dur: +e.params.dur, end: +e.params.ts+e.params.dur};
-                }
-            } else if (e.params.name==='MajorGC' && e.params.args.usedHeapSizeAfter) {
-                mem = {type:'gc', ts: +e.params.ts, mem: Number(e.params.args.usedHeapSizeAfter)/1024/1024};
-            }
-        });
-        return [click, lastPaint, mem, navigationStart];
+function readLogs(driver: WebDriver, framework: FrameworkData, benchmark: Benchmark, iteration: number): promise.Promise<Timingresult[]> {
+    if (config.BROWSER !== 'chrome') return readPageTiming(driver, benchmark.type === BenchmarkType.STARTUP);
+    return readTrace(driver).then(events => {
+        if (config.WRITE_TRACES) {
+            writeTrace(`${dir}/traces/${framework.name}_${benchmark.id}_${iteration}.json`, events);
+        }
+        return extractTimings(events);
     });
 }
 
-function buildDriver() {
+// geckodriver is only needed for firefox, so it's loaded on demand
+function buildFirefoxDriver() {
+    var firefox:any = require('selenium-webdriver/firefox');
+    var geckodriver:any = require('geckodriver');
+    process.env.PATH = path.dirname(geckodriver.path) + path.delimiter + process.env.PATH;
+    let options = new firefox.Options();
+    if (config.HEADLESS) {
+        options = options.addArguments("-headless");
+        options = options.addArguments("--window-size=1280,1024");
+    }
+    return new Builder()
+        .forBrowser('firefox')
+        .setFirefoxOptions(options)
+        .build();
+}
+
+// remoteDebuggingPort opens chrome's remote debugging protocol on that port
+function buildDriver(remoteDebuggingPort = 0) {
+    if (config.WEBDRIVER_URL) {
+        return new Builder()
+            .forBrowser(config.BROWSER === 'webkit' ? 'safari' : config.BROWSER)
+            .usingServer(config.WEBDRIVER_URL)
+            .build();
+    }
+    if (config.BROWSER === 'firefox') return buildFirefoxDriver();
+    if (config.BROWSER === 'webkit') {
+        if (config.HEADLESS) console.log("WARN: safaridriver doesn't support headless mode");
+        return new Builder().forBrowser('safari').build();
+    }
     let logPref = new logging.Preferences();
     logPref.setLevel(logging.Type.PERFORMANCE, logging.Level.ALL);
     // logPref.setLevel(logging.Type.BROWSER, logging.Level.ALL);
@@ -69,37 +77,51 @@ function buildDriver() {
     options = options.addArguments("--js-flags=--expose-gc");
     options = options.addArguments("--disable-infobars");
     options = options.addArguments("--disable-background-networking");
+    if (config.HEADLESS) {
+        options = options.addArguments("--headless");
+        options = options.addArguments("--disable-gpu");
+        options = options.addArguments("--window-size=1280,1024");
+    }
+    if (remoteDebuggingPort) {
+        options = options.addArguments(`--remote-debugging-port=${remoteDebuggingPort}`);
+    }
     options = options.setLoggingPrefs(logPref);
-    options = options.setPerfLoggingPrefs(<any>{enableNetwork: false, enablePage: false, enableTimeline: false, traceCategories: "v8,blink.console,disabled-by-default-devtools.timeline,devtools.timeline,blink.user_timing", bufferUsageReportingInterval: 10000});
+    options = options.setPerfLoggingPrefs(<any>{enableNetwork: false, enablePage: false, enableTimeline: false, traceCategories: config.WRITE_TRACES ? FULL_TRACE_CATEGORIES : TRACE_CATEGORIES, bufferUsageReportingInterval: 10000});
     return new Builder()
         .forBrowser('chrome')
         .setChromeOptions(options)    
         .build();
 }
 
+function missingDataMessage(benchmark: Benchmark) {
+    return `Data wasn't extracted from timeline as expected for ${benchmark.id}. ` + (config.HEADLESS
+        ? "Neither paint nor layout events were reported by headless chrome."
+        : "Make sure that your browser window was visible all the time the benchmark was running!");
+}
+
 function reduceBenchmarkResults(benchmark: Benchmark, results: Timingresult[][]): number[] {
         if (benchmark.type === BenchmarkType.CPU) {
-            if (results.some(val => val[0]==null || val[1]==null)) {
+            if (results.some(val => val[0]==null || val[1]==null || val[1].end===0)) {
                 console.log("data for CPU reduceBenchmarkResults", results);
-                throw `Data wasn't extracted from timeline as expected for ${benchmark.id}. Make sure that your browser window was visible all the time the benchmark was running!`;
+                throw missingDataMessage(benchmark);
             }
             return results.reduce((acc: number[], val: Timingresult[]): number[] => acc.concat((val[1].end - val[0].ts)/1000.0), []);
         } else if (benchmark.type === BenchmarkType.MEM) {
             if (results.some(val => val[2]==null)) {
                 console.log("data for MEM reduceBenchmarkResults", results);
-                throw `Data wasn't extracted from timeline as expected for ${benchmark.id}. Make sure that your browser window was visible all the time the benchmark was running!`;
+                throw missingDataMessage(benchmark);
             }
             return results.reduce((acc: number[], val: Timingresult[]): number[] => acc.concat([val[2].mem]), []);
         } else if (benchmark.type === BenchmarkType.STARTUP) {
-            if (results.some(val => val[1]==null || val[3]==null)) {
+            if (results.some(val => val[1]==null || val[3]==null || val[1].end===0)) {
                 console.log("data for STARTUP reduceBenchmarkResults", results);
-                throw `Data wasn't extracted from timeline as expected for ${benchmark.id}. Make sure that your browser window was visible all the time the benchmark was running!`;
+                throw missingDataMessage(benchmark);
             }
             return results.reduce((acc: number[], val: Timingresult[]): number[] => acc.concat((val[1].end - val[3].ts)/1000.0), []);
         }
 }
 
-function runBenchmark(driver: WebDriver, benchmark: Benchmark, framework: FrameworkData) : promise.Promise<any> {
+function runBenchmark(driver: WebDriver, benchmark: Benchmark, framework: FrameworkData, iteration: number) : promise.Promise<any> {
     return benchmark.run(driver, framework)
         .then(() => {
             if (config.LOG_PROGRESS) console.log("after run ",benchmark.id, benchmark.type, framework.name);
@@ -107,7 +129,12 @@ function runBenchmark(driver: WebDriver, benchmark: Benchmark, framework: Framew
                 return driver.executeScript("window.gc();");
             }            
         })
-        .then(() => readLogs(driver))
+        .then(() => readLogs(driver, framework, benchmark, iteration))
+        .then((results) => {
+            if (!config.USER_TIMING || benchmark.type !== BenchmarkType.CPU) return results;
+            // the measures of the framework are compared to the timeline, see compareUserTiming
+            return readUserTiming(driver).then(userTiming => {results[5] = userTiming; return results;});
+        })
         .then((results) => {if (config.LOG_PROGRESS) console.log(`result ${framework}_${benchmark.id}`, results); return results});
 }
 
@@ -120,6 +147,12 @@ function initBenchmark(driver: WebDriver, benchmark: Benchmark, framework: Frame
         }
     })
     .then(() => clearLogs(driver))
+    .then(() => {
+        if (config.USER_TIMING && benchmark.type === BenchmarkType.CPU) return clearUserTiming(driver);
+    })
+    .then(() => {
+        if (config.BROWSER !== 'chrome' && benchmark.type === BenchmarkType.CPU) return installPageTiming(driver, framework.shadowRootHost);
+    })
     .catch((err:any) => {
         console.log(`error in initBenchmark ${framework} ${benchmark.id}`);
         throw err;
@@ -129,12 +162,52 @@ function initBenchmark(driver: WebDriver, benchmark: Benchmark, framework: Frame
 interface Result {
     framework: FrameworkData;
     results: number[];
+    timings: Timingresult[][];
     benchmark: Benchmark    
 }
 
+function toSamples(res: Result): JSONResultSample[] {
+    return res.results.map((value, i) => {
+        let [click, paint, mem, navigationStart, phases, userTiming] = res.timings[i];
+        let sample: JSONResultSample = {value};
+        if (click) sample.clickTs = click.ts;
+        if (paint) sample.paintEnd = paint.end;
+        if (navigationStart) sample.navigationStart = navigationStart.ts;
+        if (mem) sample.mem = mem.mem;
+        if (phases && res.benchmark.type !== BenchmarkType.MEM) sample.phases = phases.phases;
+        if (userTiming) sample.userTiming = userTiming.dur;
+        return sample;
+    });
+}
+
+function aggregatePhases(samples: JSONResultSample[]): {[phase: string]: JSONPhaseResult} {
+    if (samples.length === 0 || !samples.every(sample => !!sample.phases)) return undefined;
+    let result: {[phase: string]: JSONPhaseResult} = {};
+    Object.keys(samples[0].phases).forEach(phase => {
+        let s = jStat(samples.map(sample => sample.phases[phase]));
+        result[phase] = {mean: s.mean(), standardDeviation: s.stdev()};
+    });
+    return result;
+}
+
+// The duration the framework measured itself with shared/timing.js vs. the duration from click to the last paint.
+// The in-page measurement ends before the browser renders, so it's expected to be a bit lower.
+// Frameworks that don't use shared/timing.js and thus recorded no measures with --user-timing
+let frameworksWithoutUserTiming: string[] = [];
+
+function compareUserTiming(framework: string, benchmark: Benchmark, samples: JSONResultSample[]): JSONPhaseResult {
+    let userTiming = jStat(samples.map(sample => sample.userTiming));
+    let measured = jStat(samples.map(sample => sample.value));
+    let difference = (userTiming.mean() - measured.mean()) / measured.mean() * 100;
+    console.log(`user timing ${framework}_${benchmark.id}: in page ${userTiming.mean().toFixed(2)} ms, ` +
+        `${config.BROWSER === 'chrome' ? 'timeline' : 'until the next frame'} ${measured.mean().toFixed(2)} ms (${difference > 0 ? '+' : ''}${difference.toFixed(1)}%)`);
+    return {mean: userTiming.mean(), standardDeviation: userTiming.stdev()};
+}
+
 function writeResult(res: Result, dir: string) {
     let benchmark = res.benchmark;
         let framework = res.framework.name;
+        let samples = toSamples(res);
         let data = res.results;
         data = data.splice(0).sort((a:number,b:number) => a-b);
         data = data.slice(0, config.REPEAT_RUN - config.DROP_WORST_RUN);
@@ -143,49 +216,75 @@ function writeResult(res: Result, dir: string) {
         let result: JSONResult = {
             "framework": framework,
             "benchmark": benchmark.id,
-            "type": benchmark.type === BenchmarkType.CPU ? "cpu" : "memory",
+            "type": typeName(benchmark.type),
             "min": s.min(),
             "max": s.max(),
             "mean": s.mean(),
             "geometricMean": s.geomean(),
-            "standardDeviation": s.stdev()
+            "standardDeviation": s.stdev(),
+            "samples": samples,
+            "phases": aggregatePhases(samples),
+            "emulation": emulationSettings(emulationProfile),
+            "browser": config.BROWSER
+        }
+        if (benchmark.type === BenchmarkType.STARTUP) {
+            result.bundle = measureBundle(res.framework);
+        }
+        if (config.WRITE_TRACES) {
+            result.traced = true;
+        }
+        if (samples.length > 0 && samples.every(sample => sample.userTiming !== undefined)) {
+            result.userTiming = compareUserTiming(framework, benchmark, samples);
+        } else if (config.USER_TIMING && benchmark.type === BenchmarkType.CPU && frameworksWithoutUserTiming.indexOf(framework) === -1) {
+            frameworksWithoutUserTiming.push(framework);
         }
         fs.writeFileSync(`${dir}/${fileName(framework, benchmark)}`, JSON.stringify(result), {encoding: "utf8"});
+        if (runMetadata) archiveResult(runMetadata, fileName(framework, benchmark), result);
+}
+
+function recordBrowserVersion(driver: WebDriver): promise.Promise<void> {
+    return driver.getCapabilities().then(caps => {
+        let version = caps.get('version') || caps.get('browserVersion');
+        if (runMetadata) setBrowserVersion(runMetadata, config.BROWSER === 'chrome' ? version : `${config.BROWSER} ${version}`);
+    });
 }
 
 function runMemOrCPUBenchmark(framework: FrameworkData, benchmark: Benchmark) : promise.Promise<any> {
         console.log("benchmarking ", framework, benchmark.id);
         let driver = buildDriver();
-        return forProm(0, config.REPEAT_RUN, () => {
-            setUseShadowRoot(framework.useShadowRoot);
+        let timings : Timingresult[][];
+        return recordBrowserVersion(driver)
+        .then(() => applyEmulation(driver, emulationProfile))
+        .then(() => forProm(0, config.REPEAT_RUN, (i) => {
+            setShadowRootHost(framework.shadowRootHost);
             return driver.get(`http://localhost:8080/${framework.uri}/`)
             .then(() => initBenchmark(driver, benchmark, framework))
-            .then(() => runBenchmark(driver, benchmark, framework))
+            .then(() => runBenchmark(driver, benchmark, framework, i))
             .catch((e) => {
                 console.error("Benchmark failed",e);
-                driver.takeScreenshot().then(
+                return driver.takeScreenshot().then(
                     function(image) {
-                        require('fs').writeFileSync('error-'+framework+'-'+benchmark.id+'.png', image, 'base64', function(err:any) {
-                            console.log(err);
-                        });
+                        fs.writeFileSync('error-'+framework.name+'-'+benchmark.id+'.png', image, 'base64');
                         throw e;
                     }
                 );                
             });
-        })
-        .then(results => reduceBenchmarkResults(benchmark, results))
-        .then(results => writeResult({framework: framework, results: results, benchmark: benchmark}, dir))
-        .then(() => {console.log("QUIT"); driver.quit();}, () => {console.log("QUIT after error"); driver.quit();})
+        }))
+        .then(results => {timings = results; return reduceBenchmarkResults(benchmark, results)})
+        .then(results => writeResult({framework: framework, results: results, timings: timings, benchmark: benchmark}, dir))
+        .then(() => {console.log("QUIT"); driver.quit();}, (e) => {console.log("QUIT after error"); driver.quit(); throw e;})
 }
 
 function runStartupBenchmark(framework: FrameworkData, benchmark: Benchmark) : promise.Promise<any> {
         console.log("benchmarking ", framework, benchmark.id);
         let results : Timingresult[][] = [];
-        return forProm(0, config.REPEAT_RUN, () => {
+        return forProm(0, config.REPEAT_RUN, (i) => {
             let driver = buildDriver();
-            setUseShadowRoot(framework.useShadowRoot);
-            return initBenchmark(driver, benchmark, framework)
-            .then(() => runBenchmark(driver, benchmark, framework))
+            setShadowRootHost(framework.shadowRootHost);
+            return recordBrowserVersion(driver)
+            .then(() => applyEmulation(driver, emulationProfile))
+            .then(() => initBenchmark(driver, benchmark, framework))
+            .then(() => runBenchmark(driver, benchmark, framework, i))
             .then((res) => results.push(res))
             // Check what we measured. Results are pretty similar, though we are measuring a bit longer until the final repaint happened.
             // .then(() => driver.executeScript("return window.performance.timing.loadEventEnd - window.performance.timing.navigationStart"))
@@ -193,53 +292,250 @@ function runStartupBenchmark(framework: FrameworkData, benchmark: Benchmark) : p
             .then(() => {console.log("QUIT"); driver.quit();},
                 (e) => {
                 console.error("Benchmark failed",e);
-                driver.takeScreenshot().then(
+                return driver.takeScreenshot().then(
                     function(image) {
-                        (<any>fs).writeFileSync('error-'+framework+'_startup.png', image, 'base64', function(err:any) {
-                            console.log(err);
-                            console.log("QUIT after error"); driver.quit();
-                        });
-                        throw e;
-                    }
-                );                
+                        fs.writeFileSync('error-'+framework.name+'_startup.png', image, 'base64');
+                    },
+                    (screenshotError) => console.error("Taking the screenshot failed", screenshotError)
+                ).then(() => {console.log("QUIT after error"); driver.quit(); throw e;});
             })
         })
         .then(() => reduceBenchmarkResults(benchmark, results))
-        .then(results => writeResult({framework: framework, results: results, benchmark: benchmark}, dir))
+        .then(reduced => writeResult({framework: framework, results: reduced, timings: results, benchmark: benchmark}, dir))
 }
 
-function runBench(frameworkNames: string[], benchmarkNames: string[], dir: string): promise.Promise<any> {
+// Keeps track of the framework/benchmark pairs of the runs for a directory such that
+// an interrupted run can be resumed and failed pairs can be retried.
+interface ManifestEntry {
+    framework: string;
+    benchmark: string;
+    error?: string;
+}
+
+interface Manifest {
+    // run in the runs directory the results are archived in, continued by --resume and --retry-failed
+    runId?: string;
+    completed: ManifestEntry[];
+    failed: ManifestEntry[];
+}
+
+function manifestFileName(dir: string) {
+    return `${dir}/meta/manifest.json`;
+}
+
+function readManifest(dir: string): Manifest {
+    let file = manifestFileName(dir);
+    if (!fs.existsSync(file)) return {completed: [], failed: []};
+    return <Manifest>JSON.parse(fs.readFileSync(file, {encoding: "utf8"}));
+}
+
+function writeManifest(dir: string, manifest: Manifest) {
+    if (!fs.existsSync(`${dir}/meta`)) fs.mkdirSync(`${dir}/meta`);
+    fs.writeFileSync(manifestFileName(dir), JSON.stringify(manifest, null, 2), {encoding: "utf8"});
+}
+
+function updateManifest(manifest: Manifest, framework: FrameworkData, benchmark: Benchmark, error?: any) {
+    let other = (e: ManifestEntry) => e.framework !== framework.name || e.benchmark !== benchmark.id;
+    manifest.completed = manifest.completed.filter(other);
+    manifest.failed = manifest.failed.filter(other);
+    if (error === undefined) {
+        manifest.completed.push({framework: framework.name, benchmark: benchmark.id});
+    } else {
+        manifest.failed.push({framework: framework.name, benchmark: benchmark.id, error: String(error)});
+    }
+}
+
+function hasValidResult(dir: string, framework: FrameworkData, benchmark: Benchmark): boolean {
+    let file = `${dir}/${fileName(framework.name, benchmark)}`;
+    if (!fs.existsSync(file)) return false;
+    try {
+        let result = <JSONResult>JSON.parse(fs.readFileSync(file, {encoding: "utf8"}));
+        return result.framework === framework.name && result.benchmark === benchmark.id && isFinite(result.mean);
+    } catch (e) {
+        console.log(`ignoring invalid result file ${file}`, e);
+        return false;
+    }
+}
+
+interface RunOptions {
+    resume: boolean;
+    retryFailed: boolean;
+    runId: string;
+    // false for check runs (results_check) which must not show up as a run in compare-runs
+    archive: boolean;
+}
+
+// null if the results aren't archived
+let runMetadata: RunMetadata = null;
+
+function runBench(frameworkNames: string[], benchmarkNames: string[], dir: string, options: RunOptions): promise.Promise<any> {
     let runFrameworks = frameworks.filter(f => frameworkNames.some(name => f.name.indexOf(name)>-1));
     let runBenchmarks = benchmarks.filter(b => benchmarkNames.some(name => b.id.toLowerCase().indexOf(name)>-1));
     console.log("Frameworks that will be benchmarked", runFrameworks);
     console.log("Benchmarks that will be run", runBenchmarks.map(b => b.id));
 
+    let manifest = readManifest(dir);
+    // a new run starts with an empty manifest, only --resume and --retry-failed continue the previous one
+    if (!options.resume && !options.retryFailed) {
+        manifest.completed = [];
+        manifest.failed = [];
+    }
+    if (options.archive) {
+        let continued = (options.resume || options.retryFailed) && manifest.runId;
+        runMetadata = startRun(options.runId || continued || newRunId(), runFrameworks);
+        manifest.runId = runMetadata.runId;
+        writeManifest(dir, manifest);
+        console.log("run id", runMetadata.runId);
+    }
     let data : [[FrameworkData, Benchmark]] = <any>[];
     for (let i=0;i<runFrameworks.length;i++) {
        for (let j=0;j<runBenchmarks.length;j++) {
-           data.push( [runFrameworks[i], runBenchmarks[j]] );
+           let framework = runFrameworks[i], benchmark = runBenchmarks[j];
+           if (!supportsBenchmark(framework, benchmark)) {
+               if (config.LOG_DETAILS) console.log(`skipping ${framework.name}_${benchmark.id} since the framework doesn't declare the feature ${benchmark.requiredFeature}`);
+               continue;
+           }
+           if (config.BROWSER !== 'chrome' && benchmark.type === BenchmarkType.MEM) {
+               if (config.LOG_DETAILS) console.log(`skipping ${framework.name}_${benchmark.id} since memory is only measured in chrome`);
+               continue;
+           }
+           if (options.retryFailed && !manifest.failed.some(e => e.framework === framework.name && e.benchmark === benchmark.id)) continue;
+           if (options.resume && hasValidResult(dir, framework, benchmark)) {
+               console.log(`skipping ${framework.name}_${benchmark.id} since a result already exists`);
+               continue;
+           }
+           data.push( [framework, benchmark] );
        }
     }
+    if (data.length === 0) {
+        console.log("Nothing to run");
+        return promise.fulfilled();
+    }
 
     return forProm(0, data.length, (i) => {
         let framework = data[i][0];
         let benchmark = data[i][1];
-        if (benchmark.type == BenchmarkType.STARTUP) {
-            return runStartupBenchmark(framework, benchmark);
-        } else {
-            return runMemOrCPUBenchmark(framework, benchmark);
+        let run = benchmark.type == BenchmarkType.STARTUP ? runStartupBenchmark(framework, benchmark) : runMemOrCPUBenchmark(framework, benchmark);
+        return run.then(() => updateManifest(manifest, framework, benchmark),
+            (e) => {
+                if (isDevToolsUnsupported(e)) throw e;
+                updateManifest(manifest, framework, benchmark, e);
+            })
+            .then(() => writeManifest(dir, manifest));
+    }).then(() => {
+        if (manifest.failed.length > 0) {
+            console.log("Failed benchmarks (rerun them with --retry-failed):", manifest.failed.map(e => `${e.framework}_${e.benchmark}`));
+        }
+        if (frameworksWithoutUserTiming.length > 0) {
+            console.log("WARN: These frameworks recorded no User Timing measures, they don't use shared/timing.js:", frameworksWithoutUserTiming);
+        }
+    });
+}
+
+// Repeats the operations of the leak checks and fails if the number of live objects grows linearly
+// A free port is used for the remote debugging protocol unless port is given
+function runLeakChecks(frameworkNames: string[], iterations: number, dir: string, port: number): promise.Promise<any> {
+    let runFrameworks = frameworks.filter(f => frameworkNames.some(name => f.name.indexOf(name)>-1));
+    console.log("Frameworks that will be checked for leaks", runFrameworks.map(f => f.name));
+    let reports: LeakReport[] = [];
+    return forProm(0, runFrameworks.length, (i) => {
+        let framework = runFrameworks[i];
+        let driver: WebDriver;
+        let debuggingPort: number;
+        setShadowRootHost(framework.shadowRootHost);
+        return (port ? promise.fulfilled(port) : findFreePort())
+        .then(p => {
+            debuggingPort = p;
+            driver = buildDriver(debuggingPort);
+        })
+        .then(() => checkChromeVersion(driver))
+        .then(() => forProm(0, leakChecks.length, (j) => runLeakCheck(driver, framework, leakChecks[j], iterations, debuggingPort)
+            .then(report => {reports.push(report);})))
+        .then(() => driver.quit(), (e) => {
+            console.error("Leak check failed", e);
+            if (driver) driver.quit();
+            process.exitCode = 1;
+        });
+    }).then(() => {
+        if (!fs.existsSync(`${dir}/meta`)) fs.mkdirSync(`${dir}/meta`);
+        fs.writeFileSync(`${dir}/meta/leaks.json`, JSON.stringify(reports, null, 2), {encoding: "utf8"});
+        let leaking = reports.filter(r => r.leaking);
+        if (leaking.length > 0) {
+            console.log("Leaks found:", leaking.map(r => `${r.framework} ${r.check}: ` + r.growth.filter(g => g.linear).map(g => g.name).join(', ')));
+            process.exitCode = 1;
         }
     });
 }
 
 let args = yargs(process.argv)
-.usage("$0 [--framework Framework1,Framework2,...] [--benchmark Benchmark1,Benchmark2,...]")
+.usage("$0 [--framework Framework1,Framework2,...] [--benchmark Benchmark1,Benchmark2,...] [--headless] [--resume] [--retry-failed] [--trace] [--cpu-throttle 4x] [--device profile] [--run-id id] [--leak-check] [--leak-iterations n] [--remote-debugging-port port] [--benchmark-module file] [--browser chrome|firefox|webkit] [--webdriver-url url] [--user-timing] [--mobile]")
 .help('help')
 .default('check','false')
+.boolean('headless')
+.boolean('resume')
+.boolean('retry-failed')
+.boolean('trace')
+.string('cpu-throttle')
+.string('device')
+.boolean('mobile')
+.describe('mobile', 'Emulate a mobile viewport (the one of --device or 360x640) and tap instead of clicking')
+.string('run-id')
+.default('browser', 'chrome')
+.string('webdriver-url')
+.boolean('user-timing')
+.describe('user-timing', 'Collect the performance measures of shared/timing.js and compare them to the measured durations')
+.describe('browser', 'Browser that runs the benchmarks, one of '+BROWSERS.join(', '))
+.describe('webdriver-url', 'Connect to a running webdriver server instead of starting the browser\'s driver, e.g. WebKitWebDriver')
+.array('benchmark-module')
+.describe('benchmark-module', 'Additional module with benchmarks, see benchmarks.d')
+.boolean('leak-check')
+.default('leak-iterations', 10)
+.describe('leak-check', 'Check the frameworks for memory leaks instead of running the benchmarks')
+.describe('leak-iterations', 'Number of times each operation is repeated between two heap snapshots')
+.default('remote-debugging-port', 0)
+.describe('remote-debugging-port', 'Port of chrome\'s remote debugging protocol for the leak check. Defaults to a free port.')
+.describe('run-id', 'Id of the run in the runs directory. Defaults to the current time, pass an existing id to continue a run.')
+.describe('device', 'Emulated device, one of '+Object.keys(deviceProfiles).join(', '))
 .array("framework").array("benchmark").argv;
 
 console.log(args);
 
+config.HEADLESS = args.headless;
+config.WRITE_TRACES = args.trace;
+config.BROWSER = args.browser;
+config.WEBDRIVER_URL = args.webdriverUrl || null;
+config.USER_TIMING = args.userTiming;
+
+if (BROWSERS.indexOf(config.BROWSER) === -1) throw `Unknown browser ${config.BROWSER}. Known browsers: ${BROWSERS.join(', ')}`;
+if (config.BROWSER === 'webkit' && !config.WEBDRIVER_URL && process.platform !== 'darwin') {
+    throw "--browser webkit starts safaridriver which is only available on macOS. Start a webdriver server like WebKitWebDriver and pass its url with --webdriver-url.";
+}
+if (config.BROWSER !== 'chrome') {
+    if (args.device || args.cpuThrottle || args.mobile) throw "--device, --cpu-throttle and --mobile use chrome's DevTools and are only supported for chrome";
+    if (args.leakCheck) throw "--leak-check uses chrome's heap snapshots and is only supported for chrome";
+    if (config.WRITE_TRACES) console.log("WARN: --trace is only supported for chrome");
+    config.WRITE_TRACES = false;
+}
+
+let emulationProfile: DeviceProfile = null;
+if (args.device) {
+    if (!deviceProfiles[args.device]) throw `Unknown device profile ${args.device}. Known profiles: ${Object.keys(deviceProfiles).join(', ')}`;
+    emulationProfile = deviceProfiles[args.device];
+}
+if (args.cpuThrottle) {
+    let cpuThrottle = parseCpuThrottle(args.cpuThrottle);
+    emulationProfile = emulationProfile ? Object.assign({}, emulationProfile, {cpuThrottle}) : {name: "custom", cpuThrottle};
+}
+if (args.mobile) {
+    emulationProfile = mobileProfile(emulationProfile);
+}
+config.MOBILE = !!(emulationProfile && emulationProfile.touch);
+
+(args.benchmarkModule || []).forEach((file: string) => {
+    let loaded = loadBenchmarkModule(file);
+    console.log(`loaded benchmarks ${loaded.map(b => b.id).join(', ')} from ${file}`);
+});
+
 let runBenchmarks = args.benchmark && args.benchmark.length>0 ? args.benchmark : [""];
 let runFrameworks = args.framework && args.framework.length>0 ? args.framework : [""];
 
@@ -249,10 +545,18 @@ console.log("target directory", dir);
 
 if (!fs.existsSync(dir))
     fs.mkdirSync(dir);
+if (config.WRITE_TRACES && !fs.existsSync(`${dir}/traces`))
+    fs.mkdirSync(`${dir}/traces`);
 
 if (args.help) {
     yargs.showHelp();
+} else if (args.leakCheck) {
+    runLeakChecks(runFrameworks, Number(args.leakIterations), dir, Number(args.remoteDebuggingPort));
 } else {
-    runBench(runFrameworks, runBenchmarks, dir);
+    runBench(runFrameworks, runBenchmarks, dir, {resume: args.resume, retryFailed: args.retryFailed, runId: args.runId, archive: dir === "results"})
+        .catch(e => {
+            console.log("ERROR: "+e);
+            process.exitCode = 1;
+        });
 }
 
@@ -1,6 +1,8 @@
 import {testTextContains, testTextNotContained, testClassContains, testElementLocatedByXpath, testElementNotLocatedByXPath, testElementLocatedById, clickElementById, clickElementByXPath, getTextByXPath, forProm} from './webdriverAccess'
 import {Builder, WebDriver, promise, logging} from 'selenium-webdriver'
 import {config, FrameworkData} from './common'
+import * as fs from 'fs';
+import * as path from 'path';
 
 export enum BenchmarkType { CPU, MEM, STARTUP };
 
@@ -9,6 +11,8 @@ export interface Benchmark {
     type: BenchmarkType;
     label: string;
     description: string;
+    // Feature a framework must declare in its package.json to run the benchmark
+    requiredFeature?: string;
     init(driver: WebDriver, framework: FrameworkData) : promise.Promise<any>;
     run(driver: WebDriver, framework: FrameworkData) : promise.Promise<any>;
 }
@@ -156,6 +160,57 @@ const benchClear: Benchmark = {
             .then(() =>  testElementNotLocatedByXPath(driver, "//tbody/tr[1]"))
 }
 
+function hideAllBenchmark(id: string, rows: number, runButton: string): Benchmark {
+    return {
+        id,
+        label: `hide ${rows/1000}k rows`,
+        description: `Duration to hide all rows of a table with ${rows} rows (with ${config.WARMUP_COUNT} warmup iterations).`,
+        type: BenchmarkType.CPU,
+        requiredFeature: "hideAll",
+        init: (driver: WebDriver) =>
+                testElementLocatedById(driver, runButton)
+                .then(() => clickElementById(driver, runButton))
+                .then(() => testElementLocatedByXpath(driver, `//tbody/tr[${rows}]/td[2]/a`))
+                .then(() => forProm(0, config.WARMUP_COUNT, () =>
+                    clickElementById(driver, 'hideall')
+                    .then(() => testElementNotLocatedByXPath(driver, "//tbody/tr[1]"))
+                    .then(() => clickElementById(driver, 'showall'))
+                    .then(() => testElementLocatedByXpath(driver, `//tbody/tr[${rows}]/td[2]/a`)))),
+        run: (driver: WebDriver) =>
+                clickElementById(driver, 'hideall')
+                .then(() => testElementNotLocatedByXPath(driver, "//tbody/tr[1]"))
+    };
+}
+
+function showAllBenchmark(id: string, rows: number, runButton: string): Benchmark {
+    return {
+        id,
+        label: `show ${rows/1000}k rows`,
+        description: `Duration to show ${rows} previously hidden rows again (with ${config.WARMUP_COUNT} warmup iterations).`,
+        type: BenchmarkType.CPU,
+        requiredFeature: "hideAll",
+        init: (driver: WebDriver) =>
+                testElementLocatedById(driver, runButton)
+                .then(() => clickElementById(driver, runButton))
+                .then(() => testElementLocatedByXpath(driver, `//tbody/tr[${rows}]/td[2]/a`))
+                .then(() => forProm(0, config.WARMUP_COUNT, () =>
+                    clickElementById(driver, 'hideall')
+                    .then(() => testElementNotLocatedByXPath(driver, "//tbody/tr[1]"))
+                    .then(() => clickElementById(driver, 'showall'))
+                    .then(() => testElementLocatedByXpath(driver, `//tbody/tr[${rows}]/td[2]/a`))))
+                .then(() => clickElementById(driver, 'hideall'))
+                .then(() => testElementNotLocatedByXPath(driver, "//tbody/tr[1]")),
+        run: (driver: WebDriver) =>
+                clickElementById(driver, 'showall')
+                .then(() => testElementLocatedByXpath(driver, `//tbody/tr[${rows}]/td[2]/a`))
+    };
+}
+
+const benchHideAll = hideAllBenchmark("10_hideall1k", 1000, "run");
+const benchShowAll = showAllBenchmark("11_showall1k", 1000, "run");
+const benchHideAllBig = hideAllBenchmark("12_hideall10k", 10000, "runlots");
+const benchShowAllBig = showAllBenchmark("13_showall10k", 10000, "runlots");
+
 const benchReadyMemory: Benchmark = { 
     id: "21_ready-memory",
     label: "ready memory",
@@ -179,6 +234,48 @@ const benchRunMemory: Benchmark = {
             .then(() => testElementLocatedByXpath(driver, "//tbody/tr[1]/td[2]/a"))
 }
 
+const benchUpdate5Memory: Benchmark = { 
+    id: "23_update5-memory",
+    label: "update every 10th row for 1k rows (5 cycles)",
+    description: "Memory usage after clicking update every 10th row 5 times",
+    type: BenchmarkType.MEM,
+    init: (driver: WebDriver) =>
+            testElementLocatedById(driver, "run")
+            .then(() => clickElementById(driver, 'run'))
+            .then(() => testElementLocatedByXpath(driver, "//tbody/tr[1000]/td[2]/a")),
+    run: (driver: WebDriver) => 
+            forProm(0, 5, (i) =>
+                clickElementById(driver, 'update')
+                .then(() => testTextContains(driver, '//tbody/tr[1]/td[2]/a', ' !!!'.repeat(i+1))))
+}
+
+const benchReplace5Memory: Benchmark = { 
+    id: "24_run5-memory",
+    label: "replace 1k rows (5 cycles)",
+    description: "Memory usage after clicking create 1000 rows 5 times",
+    type: BenchmarkType.MEM,
+    init: (driver: WebDriver) =>
+            testElementLocatedById(driver, "run"),
+    run: (driver: WebDriver) => 
+            forProm(0, 5, (i) =>
+                clickElementById(driver, 'run')
+                .then(() => testTextContains(driver, '//tbody/tr[1000]/td[1]', (1000*(i+1)).toFixed())))
+}
+
+const benchCreateClearMemory: Benchmark = { 
+    id: "25_run-clear-memory",
+    label: "creating/clearing 10k rows",
+    description: "Memory usage after creating 10,000 rows and clearing them",
+    type: BenchmarkType.MEM,
+    init: (driver: WebDriver) =>
+            testElementLocatedById(driver, "runlots"),
+    run: (driver: WebDriver) => 
+            clickElementById(driver, 'runlots')
+            .then(() => testElementLocatedByXpath(driver, "//tbody/tr[10000]/td[2]/a"))
+            .then(() => clickElementById(driver, 'clear'))
+            .then(() => testElementNotLocatedByXPath(driver, "//tbody/tr[1]"))
+}
+
 const benchStartup: Benchmark = { 
     id: "30_startup",
     label: "startup time",
@@ -191,7 +288,7 @@ const benchStartup: Benchmark = {
             .then(() => testElementLocatedById(driver, "run"))
 }
 
-export let benchmarks : [ Benchmark ] = [
+export let benchmarks : Array<Benchmark> = [
     benchRun,
     benchReplaceAll,
     benchUpdate,
@@ -201,11 +298,81 @@ export let benchmarks : [ Benchmark ] = [
     benchRunBig,
     benchAppendToManyRows,
     benchClear,
+    benchHideAll,
+    benchShowAll,
+    benchHideAllBig,
+    benchShowAllBig,
     benchReadyMemory,
     benchRunMemory,
+    benchUpdate5Memory,
+    benchReplace5Memory,
+    benchCreateClearMemory,
     benchStartup
     ];
 
+// Additional benchmarks are loaded from the .js modules in this directory
+export const BENCHMARK_DIR = path.join(__dirname, '..', 'benchmarks.d');
+
+const BENCHMARK_TYPES: {[name: string]: BenchmarkType} = {cpu: BenchmarkType.CPU, memory: BenchmarkType.MEM, startup: BenchmarkType.STARTUP};
+
+// Name of the type in the result files and exports, the same names are used in benchmark modules
+export function typeName(type: BenchmarkType): string {
+    return Object.keys(BENCHMARK_TYPES).filter(name => BENCHMARK_TYPES[name] === type)[0];
+}
+
+function toBenchmark(file: string, def: any): Benchmark {
+    if (!def || typeof def.id !== 'string' || typeof def.init !== 'function' || typeof def.run !== 'function') {
+        throw `${file} must export a benchmark with an id and the functions init and run`;
+    }
+    let type = typeof def.type === 'string' ? BENCHMARK_TYPES[def.type] : def.type;
+    if (BenchmarkType[type] === undefined) {
+        throw `Benchmark ${def.id} in ${file} has the unknown type ${def.type}. Use one of ${Object.keys(BENCHMARK_TYPES).join(', ')}`;
+    }
+    return {
+        id: def.id,
+        type,
+        label: def.label || def.id,
+        description: def.description || '',
+        requiredFeature: def.requiredFeature,
+        init: def.init,
+        run: def.run
+    };
+}
+
+// Loads a module that exports a benchmark or an array of benchmarks and adds them to the benchmarks.
+// The type is "cpu", "memory" or "startup", init and run get the driver and the framework and return a promise.
+export function loadBenchmarkModule(file: string): Benchmark[] {
+    let exported = require(path.resolve(file));
+    if (exported && exported.default) exported = exported.default;
+    let loaded = (Array.isArray(exported) ? exported : [exported]).map((def: any) => toBenchmark(file, def));
+    loaded.forEach(benchmark => {
+        if (benchmarks.some(b => b.id === benchmark.id)) throw `Benchmark ${benchmark.id} from ${file} is already defined`;
+    });
+    loaded.forEach(benchmark => benchmarks.push(benchmark));
+    return loaded;
+}
+
+// A module that can't be loaded is reported and skipped such that every tool importing the benchmarks still works
+export function loadBenchmarkDirectory(dir: string = BENCHMARK_DIR): Benchmark[] {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort()
+        .reduce((acc: Benchmark[], file) => {
+            try {
+                return acc.concat(loadBenchmarkModule(path.join(dir, file)));
+            } catch (e) {
+                console.log(`ERROR: Can't load benchmark module ${path.join(dir, file)}. Its benchmarks will be ignored.`, e);
+                return acc;
+            }
+        }, []);
+}
+
+loadBenchmarkDirectory();
+
+export function supportsBenchmark(framework: FrameworkData, benchmark: Benchmark) {
+    return !benchmark.requiredFeature || framework.features.indexOf(benchmark.requiredFeature) > -1;
+}
+
+// Results of other browsers than chrome get the browser as suffix
 export function fileName(framework: string, benchmark: Benchmark) {
-    return `${framework}_${benchmark.id}.json`;
+    return config.BROWSER === 'chrome' ? `${framework}_${benchmark.id}.json` : `${framework}_${benchmark.id}_${config.BROWSER}.json`;
 }    
\ No newline at end of file
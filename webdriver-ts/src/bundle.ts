@@ -0,0 +1,119 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import * as zlib from 'zlib';
+import {FrameworkData} from './common'
+
+// Sizes in bytes of the files that are loaded by the index.html of a framework
+export interface BundleSize {
+    files: string[];
+    size: number;
+    gzipSize: number;
+    // BROTLI_UNAVAILABLE if node's zlib can't compress with brotli
+    brotliSize?: number | string;
+}
+
+export const BROTLI_UNAVAILABLE = "n/a";
+
+// Result of the size report, stored in results/sizes/<framework>.json
+export interface FrameworkSizes {
+    framework: string;
+    js: BundleSize;
+    css: BundleSize;
+}
+
+export const SIZES_DIR = "results/sizes";
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+function pageDir(framework: FrameworkData) {
+    return path.join(ROOT_DIR, framework.uri.replace(/[?#].*$/, ''));
+}
+
+// Local file of the url relative to dir, null for urls of other hosts. Urls starting with / are served from the root.
+function localFile(url: string, dir: string): string {
+    if (/^(https?:)?\/\//.test(url)) return null;
+    url = url.replace(/[?#].*$/, '');
+    return url.startsWith('/') ? path.join(ROOT_DIR, url) : path.join(dir, url);
+}
+
+// Resolves the local urls of the matched attributes in the index.html of the framework
+function pageAssets(framework: FrameworkData, re: RegExp): string[] {
+    let index = path.join(pageDir(framework), 'index.html');
+    if (!fs.existsSync(index)) return [];
+    let html = fs.readFileSync(index, {encoding: 'utf8'}).replace(/<!--[\s\S]*?-->/g, '');
+    let files: string[] = [], match: RegExpExecArray;
+    while ((match = re.exec(html)) !== null) {
+        let file = localFile(match[1], pageDir(framework));
+        if (file) files.push(file);
+    }
+    return files;
+}
+
+// Adds the stylesheet and the ones it loads with @import (recursively) to files. css/currentStyle.css for example
+// only imports bootstrap and main.css.
+function addStylesheet(file: string, files: string[]) {
+    if (files.indexOf(file) > -1 || !fs.existsSync(file)) return;
+    files.push(file);
+    let css = fs.readFileSync(file, {encoding: 'utf8'}).replace(/\/\*[\s\S]*?\*\//g, '');
+    let re = /@import\s+(?:url\(\s*)?["']?([^"'()\s;]+)/g, match: RegExpExecArray;
+    while ((match = re.exec(css)) !== null) {
+        let imported = localFile(match[1], path.dirname(file));
+        if (imported) addStylesheet(imported, files);
+    }
+}
+
+// Returns the local scripts that are referenced by the index.html of the framework, falling back to dist/main.js
+export function bundleFiles(framework: FrameworkData): string[] {
+    let files = pageAssets(framework, /<script[^>]*\ssrc=["']([^"']+)["']/g);
+    if (files.length === 0) files.push(path.join(ROOT_DIR, framework.directory, 'dist', 'main.js'));
+    return files.filter(file => fs.existsSync(file));
+}
+
+// Returns the local stylesheets of the index.html of the framework including the stylesheets they import
+export function stylesheetFiles(framework: FrameworkData): string[] {
+    let files: string[] = [];
+    pageAssets(framework, /<link(?=[^>]*\srel=["']?stylesheet)[^>]*\shref=["']([^"']+)["']/g)
+        .forEach(file => addStylesheet(file, files));
+    return files;
+}
+
+// Brotli is only available in the zlib module of recent node versions
+function brotliSize(content: Buffer): number {
+    let compress = (<any>zlib).brotliCompressSync;
+    return compress ? compress(content).length : undefined;
+}
+
+function measureFiles(files: string[], brotli: boolean): BundleSize {
+    let size = 0, gzipSize = 0, brotliTotal = 0;
+    files.forEach(file => {
+        let content = fs.readFileSync(file);
+        size += content.length;
+        gzipSize += zlib.gzipSync(content, {level: 9}).length;
+        if (brotli) brotliTotal += brotliSize(content);
+    });
+    let result: BundleSize = {files: files.map(file => path.relative(ROOT_DIR, file)), size, gzipSize};
+    if (brotli) result.brotliSize = isNaN(brotliTotal) ? BROTLI_UNAVAILABLE : brotliTotal;
+    return result;
+}
+
+export function measureBundle(framework: FrameworkData): BundleSize {
+    let files = bundleFiles(framework);
+    if (files.length === 0) return null;
+    return measureFiles(files, false);
+}
+
+export function measureSizes(framework: FrameworkData): FrameworkSizes {
+    let scripts = bundleFiles(framework);
+    if (scripts.length === 0) return null;
+    return {
+        framework: framework.name,
+        js: measureFiles(scripts, true),
+        css: measureFiles(stylesheetFiles(framework), true)
+    };
+}
+
+export function readSizes(): FrameworkSizes[] {
+    if (!fs.existsSync(SIZES_DIR)) return [];
+    return fs.readdirSync(SIZES_DIR).filter(file => file.endsWith('.json'))
+        .map(file => <FrameworkSizes>JSON.parse(fs.readFileSync(path.join(SIZES_DIR, file), {encoding: 'utf8'})));
+}
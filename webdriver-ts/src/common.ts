@@ -1,7 +1,36 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import {BundleSize} from './bundle'
+
+// Raw data of a single benchmark iteration. Timestamps are trace timestamps in microseconds,
+// value is the reduced result of that iteration (duration in ms or memory in MB)
+export interface JSONResultSample {
+    value: number, clickTs?: number, paintEnd?: number, navigationStart?: number, mem?: number,
+        phases?: {[phase: string]: number}, userTiming?: number
+}
+
+// Breakdown of the duration of CPU benchmarks into script, style, layout and paint and
+// of the startup into first paint, first interactive, script evaluation and compile
+export interface JSONPhaseResult {
+    mean: number, standardDeviation: number
+}
+
+// CPU throttling and network emulation that was active during the benchmark
+export interface EmulationSettings {
+    profile: string, cpuThrottle: number, network?: string, touch?: boolean
+}
+
 export interface JSONResult {
     framework: string, benchmark: string, type: string, min: number,
         max: number, mean: number, geometricMean: number,
-        standardDeviation: number
+        standardDeviation: number, samples?: JSONResultSample[],
+        phases?: {[phase: string]: JSONPhaseResult},
+        emulation?: EmulationSettings,
+        bundle?: BundleSize,
+        browser?: string,
+        userTiming?: JSONPhaseResult,
+        // recorded with --trace. The sampling profiler slows the page down, so these results aren't comparable.
+        traced?: boolean
 }
 
 export let config = {
@@ -11,78 +40,122 @@ export let config = {
     TIMEOUT: 60 * 1000,
     LOG_PROGRESS: true,
     LOG_DETAILS: false,
-    LOG_DEBUG: false
+    LOG_DEBUG: false,
+    HEADLESS: false,
+    WRITE_TRACES: false,
+    BROWSER: 'chrome',
+    // url of a running webdriver server, e.g. WebKitWebDriver. The local driver of BROWSER is started otherwise.
+    WEBDRIVER_URL: <string>null,
+    USER_TIMING: false,
+    // Buttons and rows are tapped instead of clicked and the interaction starts at the first touch event
+    MOBILE: false
 }
 
+// Chrome's timeline is read from the performance log. The other browsers measure in the page, see pageTiming.ts.
+// webkit uses safaridriver.
+export const BROWSERS = ['chrome', 'firefox', 'webkit'];
+
 export interface FrameworkData {
     name: string;
+    directory: string;
     uri: string;
     nonKeyed: boolean;
     useShadowRoot: boolean;
+    shadowRootHost: string;
+    buildCommand: string;
+    features: string[];
 }
 
-interface Options {
-    uri: string;
-    useShadowRoot? : boolean;
+// Entry of the "js-framework-benchmark" section in a framework's package.json.
+// The section is either a single entry or an array of entries if a directory contains several variants.
+interface FrameworkDeclaration {
+    name?: string;
+    keyed: boolean;
+    uri?: string;
+    shadowRootHost?: string;
+    buildCommand?: string;
+    // optional operations the implementation supports, e.g. "hideAll" for the #hideall and #showall buttons
+    features?: string[];
 }
 
-function f(name: string, nonKeyed: boolean, options: Options = {uri: null, useShadowRoot: false}): FrameworkData {
-    let ret = {name, nonKeyed, uri: options.uri ? options.uri : name, useShadowRoot: options.useShadowRoot};
-    return ret;
+const REGISTRY_SECTION = "js-framework-benchmark";
+
+function toFrameworkData(directory: string, decl: FrameworkDeclaration): FrameworkData {
+    if (typeof decl.keyed !== 'boolean') {
+        throw `"keyed" must be declared as true or false in ${directory}/package.json`;
+    }
+    return {
+        name: decl.name || directory,
+        directory,
+        uri: decl.uri || directory,
+        nonKeyed: !decl.keyed,
+        useShadowRoot: !!decl.shadowRootHost,
+        shadowRootHost: decl.shadowRootHost || null,
+        buildCommand: decl.buildCommand || "npm run build-prod",
+        features: decl.features || []
+    };
 }
 
-export let frameworks = [
-    f("angular-v1.6.3-keyed", false),
-    f("angular-v2.4.9-keyed", false),
-    f("angular-v2.4.9-non-keyed", true),
-    f("angular-v4.0.0-keyed", false),
-    f("angular-v4.0.0-non-keyed", true),
-    f("aurelia-v1.1.0", true, {uri: "aurelia-v1.1.0/dist"}),
-    f("binding.scala-v10.0.1", false, {uri: "binding.scala-v10.0.1/target/web/stage"}),
-    f("bobril-v6.2.0", false),
-    f("choo-v4.1.0", true),
-    f("cyclejs-dom-v14.1.0", true),
-    f("dio-v3.0.5", true),
-    f("domvm-v2.1.3-non-keyed", true),
-    f("domvm-v2.1.3-keyed", false),
-    f("ember-v2.6.1", false, {uri: "ember-v2.6.1/dist"}),
-    f("ember-v2.10.0-beta.3", false, {uri: "ember-v2.10.0-beta.3/dist"}),
-    f("fronty.js-keyed", false),
-    f("elm-v0.18.0", false),
-    f("hyperapp-v0.6.0", true),
-    f("inferno-v1.6.0-non-keyed", true),
-    f("inferno-v1.6.0-keyed", false),
-    f("ivi-v0.5.0", false),
-    f("kivi-v1.0.0-rc2", false),
-    f("knockout-v3.4.1", false),
-    f("marko-v4.2.0", false),
-    f("marionette-v3.1.0", false),
-    f("mithril-v0.2.5", false),
-    f("mithril-v1.0.1", false),
-    f("nx-v1.0.0-beta.1.1.0-keyed", false),
-    f("nx-v1.0.0-beta.1.1.0-non-keyed", true),
-    f("pico-dom-v0.18.0", false),
-    f("plastiq-v1.33.0", false),
-    f("polymer-v1.7.0", true, {uri: "polymer-v1.7.0", useShadowRoot: true}),
-    f("preact-v7.1.0", false),
-    f("svelte-v1.0.1", true),
-    f("ractive-v0.8.9-keyed", false),
-    f("ractive-v0.8.9-non-keyed", true),
-    f("ractive-edge", true),
-    f("react-lite-v0.15.30", false),
-    f("react-v15.4.2-keyed", false),
-    f("react-v15.4.2-non-keyed", true),
-    f("react-v15.4.2-mobX-v3.0.1", false),
-    f("react-v15.4.2-redux-v3.6.0", false),
-    f("riot-v3.0.7", true),
-    f("simulacra-v1.5.5", true),
-    f("stem-v0.2.60", true),
-    f("surplus-v0.4.0-keyed", false, { uri: "surplus-v0.4.0?keyed" }),
-    f("surplus-v0.4.0-nonkeyed", true, { uri: "surplus-v0.4.0" }),
-    f("tsers-v1.0.0", true),
-    f("vanillajs-non-keyed", true),
-    f("vanillajs-keyed", false),
-    f("vidom-v0.7.1", false),
-    f("vue-v2.2.4-keyed", false),
-    f("vue-v2.2.4-non-keyed", true),
-]
+// Scans the top level directories of the repository for a package.json with a "js-framework-benchmark" section
+export function loadFrameworks(baseDir = path.join(__dirname, '..', '..')): FrameworkData[] {
+    let result: FrameworkData[] = [];
+    fs.readdirSync(baseDir).sort().forEach(directory => {
+        let packageJson = path.join(baseDir, directory, 'package.json');
+        if (directory[0] === '.' || !fs.existsSync(packageJson)) return;
+        let section: FrameworkDeclaration | FrameworkDeclaration[];
+        try {
+            section = JSON.parse(fs.readFileSync(packageJson, {encoding: 'utf8'}))[REGISTRY_SECTION];
+        } catch (e) {
+            console.log(`ERROR: Can't parse ${packageJson}`, e);
+            return;
+        }
+        if (!section) return;
+        let declarations = Array.isArray(section) ? section : [section];
+        declarations.forEach(decl => {
+            try {
+                result.push(toFrameworkData(directory, decl));
+            } catch (e) {
+                console.log("ERROR: "+e+". Framework will be ignored.");
+            }
+        });
+    });
+    return result;
+}
+
+export let frameworks = loadFrameworks();
+
+// Rewrites "keyed" in the declaration of the framework in its package.json. Only the value is replaced in the text,
+// the rest of the file keeps its formatting.
+export function updateKeyedDeclaration(framework: FrameworkData, keyed: boolean, baseDir = path.join(__dirname, '..', '..')) {
+    let packageJson = path.join(baseDir, framework.directory, 'package.json');
+    let content = fs.readFileSync(packageJson, {encoding: 'utf8'});
+    let section: FrameworkDeclaration | FrameworkDeclaration[] = JSON.parse(content)[REGISTRY_SECTION];
+    let declarations = Array.isArray(section) ? section : [section];
+    let index = declarations.map(d => d.name || framework.directory).indexOf(framework.name);
+    if (index === -1) throw `No declaration for ${framework.name} in ${packageJson}`;
+    // every declaration has exactly one "keyed", the index-th one after the section's key belongs to the framework
+    let re = /("keyed"\s*:\s*)(true|false)/g;
+    re.lastIndex = content.indexOf(`"${REGISTRY_SECTION}"`);
+    let match: RegExpExecArray;
+    for (let i = 0; i <= index; i++) match = re.exec(content);
+    let updated = match && content.slice(0, match.index) + match[1] + keyed + content.slice(match.index + match[0].length);
+    let check = updated && JSON.parse(updated)[REGISTRY_SECTION];
+    if (!check || (Array.isArray(check) ? check[index] : check).keyed !== keyed) throw `Can't update "keyed" of ${framework.name} in ${packageJson}`;
+    fs.writeFileSync(packageJson, updated, {encoding: 'utf8'});
+    framework.nonKeyed = !keyed;
+}
+
+// Outcome of the conformance check (npm run conformance). Frameworks that failed are excluded from the result table.
+export interface ConformanceResult {
+    framework: string;
+    passed: boolean;
+    failures: string[];
+    date: string;
+}
+
+export const CONFORMANCE_FILE = "results/meta/conformance.json";
+
+export function readConformance(): {[framework: string]: ConformanceResult} {
+    if (!fs.existsSync(CONFORMANCE_FILE)) return {};
+    return JSON.parse(fs.readFileSync(CONFORMANCE_FILE, {encoding: 'utf8'}));
+}
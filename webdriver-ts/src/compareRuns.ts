@@ -0,0 +1,98 @@
+import * as yargs from 'yargs';
+import {JSONResult, EmulationSettings} from './common'
+import {welchTTest} from './statistics'
+import {listRuns, readMetadata, readRunResults} from './runs'
+
+interface Change {
+    browser: string;
+    framework: string;
+    benchmark: string;
+    baselineMean: number;
+    mean: number;
+    change: number;
+    significant: boolean;
+}
+
+function emulationName(e: EmulationSettings) {
+    return e ? [e.profile, e.cpuThrottle + 'x', e.network, e.touch ? 'touch' : ''].filter(v => !!v).join(' ') : 'none';
+}
+
+function compare(baseline: JSONResult[], current: JSONResult[], threshold: number): Change[] {
+    let baselineMap = new Map<string, JSONResult>();
+    let key = (r: JSONResult) => `${r.framework}_${r.benchmark}_${r.browser || 'chrome'}`;
+    baseline.forEach(r => baselineMap.set(key(r), r));
+    let changes: Change[] = [];
+    current.forEach(r => {
+        let b = baselineMap.get(key(r));
+        if (!b) return;
+        // Like different browsers, results with different emulation aren't comparable
+        if (emulationName(b.emulation) !== emulationName(r.emulation)) {
+            console.log(`WARN: Emulation differs for ${r.framework} ${r.benchmark}: ${emulationName(b.emulation)} vs. ${emulationName(r.emulation)}, skipping`);
+            return;
+        }
+        let change = (r.mean - b.mean) / b.mean;
+        if (Math.abs(change) * 100 < threshold) return;
+        // Without raw samples every change above the threshold counts
+        let test = b.samples && r.samples ? welchTTest(b.samples.map(s => s.value), r.samples.map(s => s.value)) : null;
+        changes.push({browser: r.browser || 'chrome', framework: r.framework, benchmark: r.benchmark, baselineMean: b.mean, mean: r.mean, change,
+            significant: test ? test.significant : true});
+    });
+    return changes;
+}
+
+function describe(c: Change) {
+    return `${c.framework} ${c.benchmark}${c.browser !== 'chrome' ? ' (' + c.browser + ')' : ''}: ${c.baselineMean.toFixed(2)} -> ${c.mean.toFixed(2)} (${c.change > 0 ? '+' : ''}${(c.change * 100).toFixed(1)}%)`
+        + (c.significant ? '' : ' not significant');
+}
+
+let args = yargs(process.argv)
+.usage("$0 [--baseline runId] [--run runId] [--threshold percent] [--framework Framework1,Framework2,...] [--list]")
+.help('help')
+.default('threshold', 5)
+.string('baseline').string('run')
+.boolean('list')
+.array('framework')
+.describe('baseline', 'Run to compare against. Defaults to the run before --run.')
+.describe('run', 'Run that is checked. Defaults to the latest run.')
+.describe('threshold', 'Minimum change of the mean in percent that is reported')
+.argv;
+
+let runs = listRuns();
+
+if (args.help) {
+    yargs.showHelp();
+} else if (args.list) {
+    runs.forEach(runId => {
+        let metadata = readMetadata(runId);
+        console.log(runId, metadata.browserVersion || '', metadata.cpu);
+    });
+} else {
+    let runId = args.run || runs[runs.length - 1];
+    let baselineId = args.baseline || runs[runs.indexOf(runId) - 1];
+    if (!runId || !baselineId || runs.indexOf(runId) === -1 || runs.indexOf(baselineId) === -1) {
+        console.log("ERROR: Two runs are needed for a comparison. Known runs:", runs);
+        process.exit(2);
+    }
+    let frameworkNames: string[] = args.framework && args.framework.length > 0 ? args.framework : [""];
+    // Traced results include the overhead of the sampling profiler
+    let filter = (r: JSONResult) => !r.traced && frameworkNames.some(name => r.framework.indexOf(name) > -1);
+    console.log(`comparing run ${runId} against baseline ${baselineId} with a threshold of ${args.threshold}%`);
+    let baseline = readMetadata(baselineId), current = readMetadata(runId);
+    if (baseline.browserVersion !== current.browserVersion) {
+        console.log(`WARN: Browser versions differ: ${baseline.browserVersion} vs. ${current.browserVersion}`);
+    }
+    if (baseline.cpu !== current.cpu) {
+        console.log(`WARN: CPUs differ: ${baseline.cpu} vs. ${current.cpu}`);
+    }
+
+    let changes = compare(readRunResults(baselineId).filter(filter), readRunResults(runId).filter(filter), Number(args.threshold));
+    // Lower values are better for all benchmarks
+    let regressions = changes.filter(c => c.change > 0 && c.significant);
+    let improvements = changes.filter(c => c.change < 0 && c.significant);
+    let noise = changes.filter(c => !c.significant);
+    improvements.forEach(c => console.log("improvement", describe(c)));
+    noise.forEach(c => console.log("noise", describe(c)));
+    regressions.forEach(c => console.log("REGRESSION", describe(c)));
+    console.log(`${regressions.length} regressions, ${improvements.length} improvements`);
+    if (regressions.length > 0) process.exitCode = 1;
+}
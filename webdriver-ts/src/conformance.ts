@@ -0,0 +1,230 @@
+import * as chrome from 'selenium-webdriver/chrome'
+import {Builder, WebDriver, promise} from 'selenium-webdriver'
+import * as fs from 'fs';
+import * as yargs from 'yargs';
+var chromedriver:any = require('chromedriver');
+import {setShadowRootHost, testTextContains, testTextNotContained, testClassContains, testElementLocatedByXpath, testElementNotLocatedByXPath, testElementLocatedById, clickElementById, clickElementByXPath, forProm} from './webdriverAccess'
+import {config, FrameworkData, frameworks, CONFORMANCE_FILE, readConformance} from './common'
+import {applyEmulation, mobileProfile, isDevToolsUnsupported} from './emulation'
+
+function buildDriver() {
+    let options = new chrome.Options();
+    if (config.HEADLESS) {
+        options = options.addArguments("--headless");
+        options = options.addArguments("--disable-gpu");
+        options = options.addArguments("--window-size=1280,1024");
+    }
+    return new Builder()
+        .forBrowser('chrome')
+        .setChromeOptions(options)
+        .build();
+}
+
+interface Row {
+    id: string;
+    label: string;
+    className: string;
+}
+
+// A click on one of the buttons and the checks of the whole table afterwards
+interface ConformanceStep {
+    name: string;
+    run(driver: WebDriver, before: Row[]): promise.Promise<any>;
+    verify(before: Row[], after: Row[]): string[];
+}
+
+// The words the Store implementations build the labels from
+const adjectives = ["pretty", "large", "big", "small", "tall", "short", "long", "handsome", "plain", "quaint", "clean", "elegant", "easy", "angry", "crazy", "helpful", "mushy", "odd", "unsightly", "adorable", "important", "inexpensive", "cheap", "expensive", "fancy"];
+const colours = ["red", "yellow", "blue", "green", "pink", "brown", "purple", "brown", "white", "black", "orange"];
+const nouns = ["table", "chair", "house", "bbq", "desk", "car", "pony", "cookie", "sandwich", "burger", "pizza", "mouse", "keyboard"];
+const LABEL = new RegExp(`^(${adjectives.join('|')}) (${colours.join('|')}) (${nouns.join('|')})( !!!)*$`);
+
+// Reads id, label and class of all table rows in a single call. arguments[0] is the host of the shadow root, if any.
+const READ_ROWS = `
+    var root = arguments[0] ? document.querySelector(arguments[0]).shadowRoot : document;
+    return Array.prototype.map.call(root.querySelectorAll('tbody > tr'), function(tr) {
+        return {
+            id: tr.cells[0] ? tr.cells[0].textContent.trim() : '',
+            label: tr.cells[1] ? tr.cells[1].textContent.trim() : '',
+            className: tr.className || ''
+        };
+    });
+`;
+
+function readRows(driver: WebDriver, framework: FrameworkData): promise.Promise<Row[]> {
+    return driver.executeScript<Row[]>(READ_ROWS, framework.shadowRootHost);
+}
+
+function expectCount(rows: Row[], count: number): string[] {
+    return rows.length === count ? [] : [`expected ${count} rows but found ${rows.length}`];
+}
+
+function expectSequentialIds(rows: Row[]): string[] {
+    let first = Number(rows.length > 0 ? rows[0].id : 0);
+    let idx = rows.findIndex((row, i) => Number(row.id) !== first + i);
+    return idx === -1 ? [] : [`ids aren't sequential: row ${idx+1} has id '${rows[idx].id}' instead of ${first + idx}`];
+}
+
+function expectLabels(rows: Row[]): string[] {
+    let idx = rows.findIndex(row => !LABEL.test(row.label));
+    return idx === -1 ? [] : [`row ${idx+1} has the label '${rows[idx].label}' which isn't formatted as '<adjective> <colour> <noun>'`];
+}
+
+function selectedRows(rows: Row[]): number[] {
+    return rows.map((row, i) => /(^|\s)danger(\s|$)/.test(row.className) ? i : -1).filter(i => i > -1);
+}
+
+function expectSelected(rows: Row[], indices: number[]): string[] {
+    let selected = selectedRows(rows);
+    return selected.join() === indices.join() ? [] :
+        [`expected the class danger on ${indices.length ? 'row ' + indices.map(i => i+1).join(', ') : 'no row'} but found it on ${selected.length ? 'row ' + selected.map(i => i+1).join(', ') : 'no row'}`];
+}
+
+function expectRows(rows: Row[], expected: Row[], description: string): string[] {
+    let idx = expected.findIndex((row, i) => !rows[i] || rows[i].id !== row.id || rows[i].label !== row.label);
+    return idx === -1 ? [] : [`${description}: row ${idx+1} is '${rows[idx] ? rows[idx].id + ' ' + rows[idx].label : 'missing'}' instead of '${expected[idx].id} ${expected[idx].label}'`];
+}
+
+const steps: ConformanceStep[] = [
+    {
+        name: "create 1,000 rows",
+        run: (driver) => clickElementById(driver, 'run')
+            .then(() => testElementLocatedByXpath(driver, "//tbody/tr[1000]/td[2]/a")),
+        verify: (before, after) => [].concat(expectCount(after, 1000), expectSequentialIds(after), expectLabels(after), expectSelected(after, []))
+    },
+    {
+        name: "update every 10th row",
+        run: (driver) => clickElementById(driver, 'update')
+            .then(() => testTextContains(driver, "//tbody/tr[1]/td[2]/a", " !!!")),
+        verify: (before, after) => [].concat(expectCount(after, 1000),
+            expectRows(after, before.map((row, i) => ({id: row.id, label: i % 10 === 0 ? row.label + ' !!!' : row.label, className: ''})), "every 10th row must be suffixed with ' !!!'"))
+    },
+    {
+        name: "select row",
+        run: (driver) => clickElementByXPath(driver, "//tbody/tr[2]/td[2]/a")
+            .then(() => testClassContains(driver, "//tbody/tr[2]", "danger")),
+        verify: (before, after) => [].concat(expectCount(after, 1000), expectSelected(after, [1]))
+    },
+    {
+        name: "swap rows",
+        run: (driver, before) => clickElementById(driver, 'swaprows')
+            .then(() => testTextContains(driver, "//tbody/tr[5]/td[1]", before[9].id)),
+        verify: (before, after) => {
+            let expected = before.slice();
+            expected[4] = before[9];
+            expected[9] = before[4];
+            return [].concat(expectCount(after, 1000), expectRows(after, expected, "rows 5 and 10 must be swapped"));
+        }
+    },
+    {
+        name: "remove row",
+        run: (driver, before) => clickElementByXPath(driver, "//tbody/tr[4]/td[3]/a/span[1]")
+            .then(() => testTextNotContained(driver, "//tbody/tr[4]/td[1]", before[3].id)),
+        verify: (before, after) => [].concat(expectCount(after, 999),
+            expectRows(after, before.filter((row, i) => i !== 3), "only row 4 must be removed"))
+    },
+    {
+        name: "append 1,000 rows",
+        run: (driver) => clickElementById(driver, 'add')
+            .then(() => testElementLocatedByXpath(driver, "//tbody/tr[1999]/td[2]/a")),
+        verify: (before, after) => {
+            let maxId = Math.max.apply(null, before.map(row => Number(row.id)));
+            let added = after.slice(999);
+            return [].concat(expectCount(after, 1999), expectRows(after, before, "existing rows must be kept"),
+                expectSequentialIds(added), expectLabels(added),
+                added.length > 0 && Number(added[0].id) <= maxId ? [`appended rows must get new ids, found '${added[0].id}'`] : []);
+        }
+    },
+    {
+        name: "create 10,000 rows",
+        run: (driver) => clickElementById(driver, 'runlots')
+            .then(() => testElementLocatedByXpath(driver, "//tbody/tr[10000]/td[2]/a")),
+        verify: (before, after) => [].concat(expectCount(after, 10000), expectSequentialIds(after), expectLabels(after), expectSelected(after, []))
+    },
+    {
+        name: "clear",
+        run: (driver) => clickElementById(driver, 'clear')
+            .then(() => testElementNotLocatedByXPath(driver, "//tbody/tr[1]")),
+        verify: (before, after) => expectCount(after, 0)
+    }
+];
+
+// Runs the steps in order. A step whose wait condition times out ends the check since the table's state is unknown.
+function checkFramework(driver: WebDriver, framework: FrameworkData): promise.Promise<string[]> {
+    let failures: string[] = [];
+    let aborted = false;
+    setShadowRootHost(framework.shadowRootHost);
+    return applyEmulation(driver, config.MOBILE ? mobileProfile(null) : null)
+        .then(() => driver.get(`http://localhost:8080/${framework.uri}/`))
+        .then(() => testElementLocatedById(driver, "run"))
+        .then(() => forProm(0, steps.length, (i) => {
+            let step = steps[i], before: Row[];
+            if (aborted) return promise.fulfilled();
+            return readRows(driver, framework)
+                .then(rows => {before = rows;})
+                .then(() => step.run(driver, before))
+                .then(() => readRows(driver, framework))
+                .then(after => step.verify(before, after).forEach(failure => failures.push(`${step.name}: ${failure}`)),
+                    (e) => {
+                        aborted = true;
+                        failures.push(`${step.name}: ${String(e).split('\n')[0]}`);
+                    });
+        }))
+        .then(() => failures);
+}
+
+function runConformance(frameworkNames: string[]): promise.Promise<any> {
+    let runFrameworks = frameworks.filter(f => frameworkNames.some(name => f.name.indexOf(name)>-1));
+    console.log("Frameworks that will be checked", runFrameworks.map(f => f.name));
+    let results = readConformance();
+    return forProm(0, runFrameworks.length, (i) => {
+        let framework = runFrameworks[i];
+        let driver = buildDriver();
+        return checkFramework(driver, framework)
+            .then(failures => failures, (e) => {
+                if (isDevToolsUnsupported(e)) throw e;
+                return [`can't load the page: ${String(e).split('\n')[0]}`];
+            })
+            .then(failures => {
+                results[framework.name] = {framework: framework.name, passed: failures.length === 0, failures, date: new Date().toISOString()};
+                console.log(`${framework.name}: ${failures.length === 0 ? 'passed' : 'FAILED'}`);
+                failures.forEach(failure => console.log(`    ${failure}`));
+            })
+            .then(() => driver.quit(), (e) => {
+                driver.quit();
+                throw e;
+            });
+    }).then(() => {
+        if (!fs.existsSync('results')) fs.mkdirSync('results');
+        if (!fs.existsSync('results/meta')) fs.mkdirSync('results/meta');
+        fs.writeFileSync(CONFORMANCE_FILE, JSON.stringify(results, null, 2), {encoding: 'utf8'});
+        let failed = runFrameworks.filter(f => !results[f.name].passed);
+        if (failed.length > 0) {
+            console.log("Frameworks that failed the conformance check and will be excluded from the result table:", failed.map(f => f.name));
+            process.exitCode = 1;
+        }
+    });
+}
+
+let args = yargs(process.argv)
+.usage("$0 [--framework Framework1,Framework2,...] [--headless] [--mobile]")
+.help('help')
+.boolean('headless')
+.boolean('mobile')
+.describe('mobile', 'Tap the buttons and rows on a mobile viewport instead of clicking them')
+.array("framework").argv;
+
+config.HEADLESS = args.headless;
+config.MOBILE = args.mobile;
+
+let runFrameworks = args.framework && args.framework.length>0 ? args.framework : [""];
+
+if (args.help) {
+    yargs.showHelp();
+} else {
+    runConformance(runFrameworks)
+        .catch(e => {
+            console.log("ERROR: "+e);
+            process.exitCode = 1;
+        });
+}
@@ -1,7 +1,9 @@
 import * as _ from 'lodash'
 import * as fs from 'fs';
-import {JSONResult, config, frameworks, FrameworkData} from './common'
-import {BenchmarkType, Benchmark, benchmarks} from './benchmarks'
+import * as yargs from 'yargs';
+import {JSONResult, config, frameworks, FrameworkData, readConformance} from './common'
+import {BenchmarkType, Benchmark, benchmarks, typeName} from './benchmarks'
+import {BundleSize, readSizes} from './bundle'
 
 const dots = require('dot').process({
 	path: './'
@@ -10,60 +12,91 @@ const dots = require('dot').process({
 let frameworkMap = new Map<string, FrameworkData>();
 frameworks.map(f => frameworkMap.set(f.name, f));
 
-let results: Map<string, Map<string, JSONResult>> = new Map();
+// Implementations that fail the conformance check (npm run conformance) don't measure the same work as the others
+let conformance = readConformance();
+Object.keys(conformance).filter(name => !conformance[name].passed && frameworkMap.has(name)).forEach(name => {
+	console.log("WARN: "+name+" failed the conformance check. Data will not appear in result table.");
+	frameworkMap.delete(name);
+});
+
+// Results by browser, framework and benchmark. Results without browser were measured with chrome.
+let results: Map<string, Map<string, Map<string, JSONResult>>> = new Map();
 
 fs.readdirSync('./results').filter(file => file.endsWith('.json')).forEach(name => {
 	let data = <JSONResult>JSON.parse(fs.readFileSync('./results/' + name, {
 		encoding:'utf-8'
 	}));
 	
+	if (conformance[data.framework] && !conformance[data.framework].passed) return;
+	if (data.traced) {
+		console.log("WARN: "+name+" was recorded with --trace. Data will not appear in result table.");
+		return;
+	}
 	if (!frameworkMap.has(data.framework)) {
-		console.log("WARN: No entry in commons.ts for "+data.framework+". Data will not appear in result table.");
+		console.log("WARN: No js-framework-benchmark section in a package.json for "+data.framework+". Data will not appear in result table.");
 	} else {
-		if (!results.has(data.framework)) results.set(data.framework, new Map());
-		results.get(data.framework).set(data.benchmark, data);
+		let browser = data.browser || 'chrome';
+		if (!results.has(browser)) results.set(browser, new Map());
+		let browserResults = results.get(browser);
+		if (!browserResults.has(data.framework)) browserResults.set(data.framework, new Map());
+		browserResults.get(data.framework).set(data.benchmark, data);
 	}
 });
 
+// chrome first, the others in alphabetical order
+let browsers = Array.from(results.keys()).sort((a, b) => a === 'chrome' ? -1 : b === 'chrome' ? 1 : a.localeCompare(b));
+
 let cpuBenchmarks = benchmarks.filter(benchmark => benchmark.type === BenchmarkType.CPU || benchmark.type === BenchmarkType.STARTUP);
 let memBenchmarks = benchmarks.filter(benchmark => benchmark.type === BenchmarkType.MEM);
-let cpuBenchmarkCount = cpuBenchmarks.length;
-
-let getValue = (framework:string, benchmark:string) => results.has(framework) && results.get(framework).get(benchmark);
-
-function color(factor:number): string {
-	if (factor < 2.0) {
-		let a = (factor - 1.0);
-		let r = (1.0-a)* 99 + a * 255;
-		let g = (1.0-a)* 191 + a * 236;
-		let b = (1.0-a)* 124 + a * 132;
-		return `rgb(${r.toFixed(0)}, ${g.toFixed(0)}, ${b.toFixed(0)})`
-	} else  {
-		let a = Math.min((factor - 2.0) / 2.0, 1.0);
-		let r = (1.0-a)* 255 + a * 249;
-		let g = (1.0-a)* 236 + a * 105;
-		let b = (1.0-a)* 132 + a * 108;
-		return `rgb(${r.toFixed(0)}, ${g.toFixed(0)}, ${b.toFixed(0)})`
-	}
+
+let getValue = (browser:string, framework:string, benchmark:string) => results.has(browser) && results.get(browser).has(framework)
+	&& results.get(browser).get(framework).get(benchmark);
+
+// One line of the machine readable export
+interface ExportRow {
+	browser: string,
+	framework: string,
+	keyed: boolean,
+	benchmark: string,
+	type: string,
+	mean: number,
+	standardDeviation: number,
+	factor: number,
+	factorVsReference: number,
+	geometricMean: number
 }
 
-interface TestData {
-	mean:string,
-	deviation: string,
-	factor: string,
-	styleClass: string	
+// Data embedded in table.html. The report is rendered in the browser from it such that frameworks,
+// reference and sort order can be chosen without a server.
+interface ReportData {
+	sections: Array<{label: string, description: string, keyed: boolean, reference: string, frameworks: Array<string>}>,
+	browsers: Array<string>,
+	benchmarks: Array<{id: string, label: string, description: string, cpu: boolean, size?: boolean, phases: Array<[string, string]>,
+		// label and description for browsers that measure something else than chrome
+		browserLabels?: {[browser: string]: {label: string, description: string}}}>,
+	results: {[browser: string]: {[framework: string]: {[benchmark: string]: {mean: number, deviation: number, phases?: any, bundle?: BundleSize}}}}
 }
 
-class BenchResultList {
-	tests: Array<TestData>;
-	name: string;
-	description: string;
+const phaseLabels: Array<[string, string]> = [['script', 'scripting'], ['style', 'recalc style'], ['layout', 'layout'], ['paint', 'paint']];
+const startupPhaseLabels: Array<[string, string]> = [['firstPaint', 'first paint'], ['interactive', 'first interactive'],
+	['scriptEvaluation', 'script evaluation'], ['compile', 'parse/compile']];
 
-	constructor(benchmark: Benchmark) {
-		this.tests = [];
-		this.name = benchmark.label;
-		this.description = benchmark.description;
-	}
+// Browsers other than chrome measure the startup in the page up to the end of the load event instead of the last paint
+// (see pageTiming.ts), so it's labeled as a different measure
+function browserLabels(benchmark: Benchmark) {
+	if (benchmark.type !== BenchmarkType.STARTUP) return undefined;
+	let labels: {[browser: string]: {label: string, description: string}} = {};
+	browsers.filter(browser => browser !== 'chrome').forEach(browser => labels[browser] = {
+		label: 'startup (load event)',
+		description: 'Time from navigationStart to the end of the load event (not to the last paint like in chrome)'
+	});
+	return labels;
+}
+
+function benchmarkPhaseLabels(benchmark: Benchmark): Array<[string, string]> {
+	if (benchmark.type === BenchmarkType.CPU) return phaseLabels;
+	if (benchmark.type === BenchmarkType.STARTUP) return startupPhaseLabels;
+	return [];
 }
 
 interface SearchFunc {
@@ -74,39 +107,20 @@ interface FrameworkPredicate {
 	(framework: FrameworkData) : boolean;
 }
 
-let generateBenchData = (benchmarks: Array<Benchmark>, frameworkPredicate: FrameworkPredicate, referenceName: string) => {
-	let benches: Array<BenchResultList> = [];
-
-	let filteredFrameworks = frameworks.filter(f => frameworkPredicate(f)).slice();
-
-	let sortedFrameworks = filteredFrameworks.sort((a:FrameworkData,b:FrameworkData) => {
-		if (a.name==referenceName) {
-			if (b.name==referenceName) return 0;
-			console.log("found reference name", referenceName);
-			return 1;
-		} else if (b.name==referenceName) {
-			if (a.name==referenceName) return 0;
-			console.log("found reference name", referenceName);
-			return -1;
-		} else {
-			if (a.name < b.name) return -1;
-			else if (a.name == b.name) return 0;
-			else return 1;
-		}
+let generateBenchData = (browser: string, benchmarks: Array<Benchmark>, frameworkPredicate: FrameworkPredicate, referenceName: string) => {
+	let sortedFrameworks = frameworks.filter(f => frameworkMap.has(f.name) && frameworkPredicate(f)).sort((a:FrameworkData,b:FrameworkData) => {
+		if (a.name < b.name) return -1;
+		else if (a.name == b.name) return 0;
+		else return 1;
 	});
 
-	let frameworkNames = sortedFrameworks.map(framework => framework.name.replace('-v', ' v')) // .replace(/-keyed$|-non-keyed$/, ''))
 	let factors = sortedFrameworks.map(f => 1.0);
+	// Not every framework runs all benchmarks (e.g. hide all rows), so the geometric mean is taken over its own results
+	let factorCounts = sortedFrameworks.map(f => 0);
+	let rows: Array<ExportRow> = [];
 
 	benchmarks.forEach((benchmark) => {
-		let bench = new BenchResultList(benchmark);
-
-		let values: Array<JSONResult> = [];
-		sortedFrameworks.forEach(framework => {
-			if (frameworkPredicate(framework)) {
-				values.push(getValue(framework.name, benchmark.id));
-			}
-		});
+		let values: Array<JSONResult> = sortedFrameworks.map(framework => getValue(browser, framework.name, benchmark.id));
 
 		let sorted = _.compact(values).map(data => {
 			return data.mean;
@@ -118,75 +132,196 @@ let generateBenchData = (benchmarks: Array<Benchmark>, frameworkPredicate: Frame
 			min = sorted[0];
 		}
 
+		let reference = getValue(browser, referenceName, benchmark.id);
+
 		_.forEach(values, function (value, idx) {
 			if (value) {
-				try {
-					let factor: number;
-					if (benchmark.type === BenchmarkType.CPU || benchmark.type === BenchmarkType.STARTUP) {
-						// Clamp to 1 fps
-						factor = Math.max(16, value.mean) / Math.max(16, min);
-						factors[idx] = factors[idx] * factor;
-					} else {
-						factor = value.mean / min;
-					}
-
-					bench.tests.push({
-						mean: value.mean.toFixed(2),
-						deviation: value.standardDeviation.toFixed(2),
-						factor: factor.toFixed(2),
-						styleClass: color(factor)
-					});
-				} catch (err) {
-					console.log(`error in ${benchmark} ${JSON.stringify(value)}`,err);
+				let factor: number;
+				if (benchmark.type === BenchmarkType.CPU || benchmark.type === BenchmarkType.STARTUP) {
+					// Clamp to 1 fps
+					factor = Math.max(16, value.mean) / Math.max(16, min);
+					factors[idx] = factors[idx] * factor;
+					factorCounts[idx]++;
+				} else {
+					factor = value.mean / min;
 				}
-			}
-			else {
-				bench.tests.push(null);
+				rows.push({
+					browser,
+					framework: sortedFrameworks[idx].name,
+					keyed: !sortedFrameworks[idx].nonKeyed,
+					benchmark: benchmark.id,
+					// older result files of the startup benchmark have the type memory
+					type: typeName(benchmark.type),
+					mean: value.mean,
+					standardDeviation: value.standardDeviation,
+					factor,
+					factorVsReference: reference ? value.mean / reference.mean : null,
+					geometricMean: null
+				});
 			}
 		});
-		benches.push(bench);		
-	});
-	let geomMeans = factors.map(f => {
-		let value = Math.pow(f, 1 / cpuBenchmarkCount);
-		console.log("cpuBenchmarkCount", cpuBenchmarkCount, f);
-		return {value: value.toPrecision(3), styleClass: color(value)}
 	});
+	let geomMeanValues = new Map<string, number>();
+	factors.forEach((f, idx) => geomMeanValues.set(sortedFrameworks[idx].name, factorCounts[idx] > 0 ? Math.pow(f, 1 / factorCounts[idx]) : null));
 	return {
-		frameworks: frameworkNames,
-		benches,
-		geomMeans
+		geomMeanValues,
+		rows
 	}
 }
 
 function frameworkPredicateKeyed(nonKeyed : boolean): FrameworkPredicate {
 	return (framework: FrameworkData) => {return framework.nonKeyed === nonKeyed;};
 }
-let cpubenchesNonKeyed = generateBenchData(cpuBenchmarks, frameworkPredicateKeyed(true), 'vanillajs-non-keyed');
-let membenchesNonKeyed = generateBenchData(memBenchmarks, frameworkPredicateKeyed(true), 'vanillajs-non-keyed');
-let cpubenchesKeyed = generateBenchData(cpuBenchmarks, frameworkPredicateKeyed(false), 'vanillajs-keyed'); // react
-let membenchesKeyed = generateBenchData(memBenchmarks, frameworkPredicateKeyed(false), 'vanillajs-keyed');
-
-fs.writeFileSync('./table.html', dots.table({
-	data: [
-	{
-		label: 'Keyed results',
-		description: `Keyed implementations create an association between the domain data and a dom element
-		by assigning a 'key'. If data changes the dom element with that key will be updated.
-		In consequence inserting or deleting an element in the data array causes a corresponding change to the dom. 		 
-		`,
-		cpubenches: cpubenchesKeyed,
-		membenches: membenchesKeyed
-	},		
-	{
-		label: 'Non keyed results',
-		description: `Non keyed implementations are allowed to reuse existing dom elements.
-		In consequence inserting or deleting an element in the data array might append after or delete the last table row
-		and update the contents of all elements after the inserting or deletion index. 
-		This can perform better, but can cause problems if dom state is modified externally.
-		`,
-		cpubenches: cpubenchesNonKeyed,
-		membenches: membenchesNonKeyed
-	}]
-}), {
-	encoding: 'utf8'
-})
+function exportRows(): Array<ExportRow> {
+	let rows: Array<ExportRow> = [];
+	browsers.forEach(browser => {
+		[[false, 'vanillajs-keyed'], [true, 'vanillajs-non-keyed']].forEach(([nonKeyed, reference]: [boolean, string]) => {
+			let cpu = generateBenchData(browser, cpuBenchmarks, frameworkPredicateKeyed(nonKeyed), reference);
+			let mem = generateBenchData(browser, memBenchmarks, frameworkPredicateKeyed(nonKeyed), reference);
+			cpu.rows.concat(mem.rows).forEach(row => {
+				// the geometric mean of the slowdowns is computed from the CPU benchmarks only
+				row.geometricMean = cpu.geomMeanValues.get(row.framework);
+				rows.push(row);
+			});
+		});
+	});
+	return rows;
+}
+
+function formatNumber(value: number, digits = 2) {
+	return value === null || value === undefined ? '' : value.toFixed(digits);
+}
+
+function toCSV(rows: Array<ExportRow>): string {
+	let columns = ['browser', 'framework', 'keyed', 'benchmark', 'type', 'mean', 'standardDeviation', 'factor', 'factorVsReference', 'geometricMean'];
+	let quote = (value: any) => /[",\n]/.test(String(value)) ? '"' + String(value).replace(/"/g, '""') + '"' : String(value);
+	return [columns.join(',')].concat(rows.map(row => [row.browser, row.framework, row.keyed, row.benchmark, row.type,
+		formatNumber(row.mean), formatNumber(row.standardDeviation), formatNumber(row.factor),
+		formatNumber(row.factorVsReference), formatNumber(row.geometricMean, 3)].map(quote).join(','))).join('\n') + '\n';
+}
+
+// One table per browser and section with a line per framework and a column per benchmark
+function toMarkdown(rows: Array<ExportRow>): string {
+	let md = '';
+	let sections: Array<[string, boolean, string]> = [];
+	browsers.forEach(browser => sections.push(['Keyed results', true, browser], ['Non keyed results', false, browser]));
+	sections.forEach(([label, keyed, browser]) => {
+		let sectionRows = rows.filter(row => row.keyed === keyed && row.browser === browser);
+		if (sectionRows.length === 0) return;
+		let benchmarkIds = benchmarks.map(b => b.id).filter(id => sectionRows.some(row => row.benchmark === id));
+		let frameworkNames = _.uniq(sectionRows.map(row => row.framework));
+		md += browsers.length > 1 ? `## ${label} (${browser})\n\n` : `## ${label}\n\n`;
+		md += '| framework | ' + benchmarkIds.join(' | ') + ' | slowdown geometric mean |\n';
+		md += '|---|' + benchmarkIds.map(() => '---:').join('|') + '|---:|\n';
+		frameworkNames.forEach(framework => {
+			let cells = benchmarkIds.map(id => {
+				let row = sectionRows.filter(r => r.framework === framework && r.benchmark === id)[0];
+				return row ? `${formatNumber(row.mean)} ± ${formatNumber(row.standardDeviation)} (${formatNumber(row.factor)})` : '';
+			});
+			let geometricMean = sectionRows.filter(r => r.framework === framework)[0].geometricMean;
+			md += `| ${framework} | ${cells.join(' | ')} | ${formatNumber(geometricMean, 3)} |\n`;
+		});
+		md += '\n';
+	});
+	return md;
+}
+
+// The size report (npm run sizes) is shown as a third table with a row per asset type and compression.
+// Sizes don't depend on the browser and are shown for all browsers.
+function addSizes(data: ReportData) {
+	let sizes = readSizes().filter(s => frameworkMap.has(s.framework));
+	if (sizes.length === 0) return;
+	let rows: Array<[string, string, string, (sizes: BundleSize) => number | string]> = [
+		['size-js', 'script', 'Uncompressed size of the scripts loaded by index.html', s => s.size],
+		['size-js-gzip', 'script (gzip)', 'Size of the scripts compressed with gzip', s => s.gzipSize],
+		['size-js-brotli', 'script (brotli)', 'Size of the scripts compressed with brotli', s => s.brotliSize],
+		['size-css', 'css', 'Uncompressed size of the stylesheets loaded by index.html', s => s.size],
+		['size-css-gzip', 'css (gzip)', 'Size of the stylesheets compressed with gzip', s => s.gzipSize],
+		['size-css-brotli', 'css (brotli)', 'Size of the stylesheets compressed with brotli', s => s.brotliSize]];
+	rows.forEach(([id, label, description]) => data.benchmarks.push({id, label, description, cpu: false, size: true, phases: []}));
+	sizes.forEach(s => {
+		let framework = frameworkMap.get(s.framework);
+		let section = data.sections[framework.nonKeyed ? 1 : 0];
+		if (section.frameworks.indexOf(s.framework) === -1) section.frameworks.push(s.framework);
+		data.browsers.forEach(browser => {
+			if (!data.results[browser][s.framework]) data.results[browser][s.framework] = {};
+			rows.forEach(([id, label, description, value]) => {
+				let bytes = value(id.startsWith('size-css') ? s.css : s.js);
+				// sizes that couldn't be measured (brotli with old node versions) are shown as n/a
+				if (typeof bytes === 'number') data.results[browser][s.framework][id] = {mean: bytes / 1024, deviation: null};
+				else if (bytes !== undefined) data.results[browser][s.framework][id] = {mean: null, deviation: null};
+			});
+		});
+	});
+}
+
+function reportData(): ReportData {
+	let data: ReportData = {
+		sections: [
+		{
+			label: 'Keyed results',
+			description: `Keyed implementations create an association between the domain data and a dom element
+			by assigning a 'key'. If data changes the dom element with that key will be updated.
+			In consequence inserting or deleting an element in the data array causes a corresponding change to the dom.`,
+			keyed: true,
+			reference: 'vanillajs-keyed',
+			frameworks: []
+		},
+		{
+			label: 'Non keyed results',
+			description: `Non keyed implementations are allowed to reuse existing dom elements.
+			In consequence inserting or deleting an element in the data array might append after or delete the last table row
+			and update the contents of all elements after the inserting or deletion index.
+			This can perform better, but can cause problems if dom state is modified externally.`,
+			keyed: false,
+			reference: 'vanillajs-non-keyed',
+			frameworks: []
+		}],
+		benchmarks: cpuBenchmarks.concat(memBenchmarks).map(b => ({id: b.id, label: b.label, description: b.description,
+			cpu: b.type !== BenchmarkType.MEM, phases: benchmarkPhaseLabels(b), browserLabels: browserLabels(b)})),
+		browsers: browsers.length > 0 ? browsers : ['chrome'],
+		results: {}
+	};
+	data.browsers.forEach(browser => data.results[browser] = {});
+	frameworks.filter(f => browsers.some(browser => results.get(browser).has(f.name))).forEach(f => {
+		data.sections[f.nonKeyed ? 1 : 0].frameworks.push(f.name);
+		browsers.filter(browser => results.get(browser).has(f.name)).forEach(browser => {
+			data.results[browser][f.name] = {};
+			results.get(browser).get(f.name).forEach((result, benchmark) => {
+				data.results[browser][f.name][benchmark] = {mean: result.mean, deviation: result.standardDeviation, phases: result.phases,
+					bundle: result.bundle};
+			});
+		});
+	});
+	addSizes(data);
+	data.sections.forEach(section => section.frameworks.sort());
+	return data;
+}
+
+let args = yargs(process.argv)
+.usage("$0 [--format html|csv|json|markdown]")
+.help('help')
+.default('format', 'html')
+.argv;
+
+if (args.help) {
+	yargs.showHelp();
+} else if (args.format === 'csv') {
+	fs.writeFileSync('./results.csv', toCSV(exportRows()), {encoding: 'utf8'});
+} else if (args.format === 'json') {
+	fs.writeFileSync('./results.json', JSON.stringify(exportRows(), null, 2), {encoding: 'utf8'});
+} else if (args.format === 'markdown') {
+	fs.writeFileSync('./results.md', toMarkdown(exportRows()), {encoding: 'utf8'});
+} else if (args.format === 'html') {
+	// The stylesheet is inlined so that table.html works when it's opened from the file system
+	fs.writeFileSync('./table.html', dots.table({
+		css: fs.readFileSync('../css/github-markdown.css', {encoding: 'utf8'}),
+		// escape '<' such that the data can't close the script tag
+		json: JSON.stringify(reportData()).replace(/</g, '\\u003c')
+	}), {
+		encoding: 'utf8'
+	})
+} else {
+	console.log(`Unknown format ${args.format}. Use html, csv, json or markdown.`);
+	process.exitCode = 1;
+}
\ No newline at end of file
@@ -0,0 +1,106 @@
+import {WebDriver, promise} from 'selenium-webdriver'
+import {config, EmulationSettings} from './common'
+var command:any = require('selenium-webdriver/lib/command');
+
+export interface NetworkConditions {
+    name: string;
+    latency: number;            // ms
+    downloadThroughput: number; // bytes/s
+    uploadThroughput: number;   // bytes/s
+}
+
+export interface DeviceProfile {
+    name: string;
+    cpuThrottle: number;
+    network?: NetworkConditions;
+    viewport?: {width: number, height: number, deviceScaleFactor: number, mobile: boolean};
+    touch?: boolean;
+}
+
+// Throughput values are the ones of the presets in chrome's DevTools
+const networks: {[name: string]: NetworkConditions} = {
+    "slow-3g": {name: "slow-3g", latency: 400, downloadThroughput: 500 * 1024 / 8, uploadThroughput: 500 * 1024 / 8},
+    "fast-3g": {name: "fast-3g", latency: 150, downloadThroughput: 1.6 * 1024 * 1024 / 8, uploadThroughput: 750 * 1024 / 8},
+    "4g": {name: "4g", latency: 20, downloadThroughput: 4 * 1024 * 1024 / 8, uploadThroughput: 3 * 1024 * 1024 / 8}
+};
+
+export const deviceProfiles: {[name: string]: DeviceProfile} = {
+    "desktop": {name: "desktop", cpuThrottle: 1},
+    "mid-range-mobile": {name: "mid-range-mobile", cpuThrottle: 4, network: networks["4g"],
+        viewport: {width: 412, height: 732, deviceScaleFactor: 2.625, mobile: true}},
+    "low-end-mobile": {name: "low-end-mobile", cpuThrottle: 6, network: networks["fast-3g"],
+        viewport: {width: 360, height: 640, deviceScaleFactor: 2, mobile: true}},
+    "slow-network": {name: "slow-network", cpuThrottle: 1, network: networks["slow-3g"]},
+    // the default of --mobile, only the viewport and touch input without throttling
+    "mobile": {name: "mobile", cpuThrottle: 1, viewport: {width: 360, height: 640, deviceScaleFactor: 2, mobile: true}, touch: true}
+};
+
+// Profile for --mobile: the given device profile (or "mobile") with touch input and a mobile viewport
+export function mobileProfile(profile: DeviceProfile): DeviceProfile {
+    let base = profile || deviceProfiles["mobile"];
+    return Object.assign({}, base, {viewport: base.viewport || deviceProfiles["mobile"].viewport, touch: true});
+}
+
+// Parses the value of --cpu-throttle, e.g. "4x" or "4"
+export function parseCpuThrottle(value: string): number {
+    let rate = Number(String(value).replace(/x$/i, ''));
+    if (!(rate >= 1)) throw `Invalid CPU throttling rate ${value}. Use a factor >= 1 like 4x.`;
+    return rate;
+}
+
+export function emulationSettings(profile: DeviceProfile): EmulationSettings {
+    if (!profile) return undefined;
+    let settings: EmulationSettings = {profile: profile.name, cpuThrottle: profile.cpuThrottle};
+    if (profile.network) settings.network = profile.network.name;
+    if (profile.touch) settings.touch = true;
+    return settings;
+}
+
+let commandDefined = new WeakSet<WebDriver>();
+
+// chromedriver answers with "unknown command" if it doesn't know the endpoint
+function isUnknownCommand(e: any) {
+    return (e && e.name === 'UnknownCommandError') || /unknown command/i.test(String(e && e.message || e));
+}
+
+const DEVTOOLS_UNSUPPORTED = "chromedriver doesn't support DevTools commands";
+
+// True for the error of sendDevToolsCommand with a chromedriver that is too old. Every framework would fail the same way,
+// so callers abort instead of recording a failure per framework.
+export function isDevToolsUnsupported(e: any) {
+    return String(e).indexOf(DEVTOOLS_UNSUPPORTED) === 0;
+}
+
+// Sends a command to the DevTools of the current tab. Requires chromedriver 2.46 or later (Chrome 71 or later) which
+// supports send_command_and_get_result.
+export function sendDevToolsCommand(driver: WebDriver, cmd: string, params: any = {}): promise.Promise<any> {
+    if (!commandDefined.has(driver)) {
+        (<any>driver).getExecutor().defineCommand('sendDevToolsCommand', 'POST', '/session/:sessionId/chromium/send_command_and_get_result');
+        commandDefined.add(driver);
+    }
+    return driver.schedule(new command.Command('sendDevToolsCommand').setParameter('cmd', cmd).setParameter('params', params),
+        `sendDevToolsCommand(${cmd})`)
+        .catch((e: any) => {
+            if (isUnknownCommand(e)) throw `${DEVTOOLS_UNSUPPORTED} (${cmd}). --device, --cpu-throttle and --mobile require chromedriver 2.46 or later and Chrome 71 or later.`;
+            throw e;
+        });
+}
+
+export function applyEmulation(driver: WebDriver, profile: DeviceProfile): promise.Promise<any> {
+    if (!profile) return promise.fulfilled();
+    if (config.LOG_DETAILS) console.log("applying emulation profile", profile);
+    let p = sendDevToolsCommand(driver, 'Emulation.setCPUThrottlingRate', {rate: profile.cpuThrottle});
+    if (profile.network) {
+        let network = profile.network;
+        p = p.then(() => sendDevToolsCommand(driver, 'Network.enable'))
+            .then(() => sendDevToolsCommand(driver, 'Network.emulateNetworkConditions', {offline: false, latency: network.latency,
+                downloadThroughput: network.downloadThroughput, uploadThroughput: network.uploadThroughput}));
+    }
+    if (profile.viewport) {
+        p = p.then(() => sendDevToolsCommand(driver, 'Emulation.setDeviceMetricsOverride', profile.viewport));
+    }
+    if (profile.touch) {
+        p = p.then(() => sendDevToolsCommand(driver, 'Emulation.setTouchEmulationEnabled', {enabled: true}));
+    }
+    return p;
+}
@@ -0,0 +1,155 @@
+import {WebDriver, promise} from 'selenium-webdriver'
+import * as net from 'net';
+import {testElementLocatedById, testElementLocatedByXpath, testElementNotLocatedByXPath, testTextNotContained, clickElementById, getTextByXPath, forProm} from './webdriverAccess'
+import {config, FrameworkData} from './common'
+var CDP:any = require('chrome-remote-interface');
+
+// Heap snapshots are streamed as DevTools events which chromedriver doesn't forward, so the leak detector connects to
+// the browser's remote debugging port directly. Chrome accepts a second DevTools client next to chromedriver since 63.
+export const MIN_CHROME_VERSION = 63;
+
+// Asks the OS for a port that is free for chrome's remote debugging protocol
+export function findFreePort(): promise.Promise<number> {
+    return new promise.Promise<number>((resolve, reject) => {
+        let server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            let port = server.address().port;
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+export function checkChromeVersion(driver: WebDriver): promise.Promise<void> {
+    return driver.getCapabilities().then(caps => {
+        let version = caps.get('version') || caps.get('browserVersion');
+        if (parseInt(version, 10) < MIN_CHROME_VERSION) {
+            throw `The leak check requires Chrome ${MIN_CHROME_VERSION} or later, found ${version}. Older versions allow only one DevTools client.`;
+        }
+    });
+}
+
+// An operation that should leave the page in the same state, i.e. repeating it mustn't increase the heap
+export interface LeakCheck {
+    id: string;
+    label: string;
+    init(driver: WebDriver): promise.Promise<any>;
+    operation(driver: WebDriver): promise.Promise<any>;
+}
+
+// Number of live objects per constructor name. Detached DOM nodes are prefixed with "Detached ".
+export interface HeapCounts {
+    [constructorName: string]: number;
+}
+
+export interface ObjectGrowth {
+    name: string;
+    counts: number[];
+    linear: boolean;
+}
+
+export interface LeakReport {
+    framework: string;
+    check: string;
+    iterations: number;
+    leaking: boolean;
+    growth: ObjectGrowth[];
+}
+
+const leakCheckCreateClear: LeakCheck = {
+    id: "create-clear-1k",
+    label: "create 1000 rows and clear them",
+    init: (driver: WebDriver) => testElementLocatedById(driver, "run"),
+    operation: (driver: WebDriver) =>
+        clickElementById(driver, 'run')
+        .then(() => testElementLocatedByXpath(driver, "//tbody/tr[1000]/td[2]/a"))
+        .then(() => clickElementById(driver, 'clear'))
+        .then(() => testElementNotLocatedByXPath(driver, "//tbody/tr[1]"))
+}
+
+const leakCheckReplace: LeakCheck = {
+    id: "replace-1k",
+    label: "replace 1000 rows",
+    init: (driver: WebDriver) =>
+        testElementLocatedById(driver, "run")
+        .then(() => clickElementById(driver, 'run'))
+        .then(() => testElementLocatedByXpath(driver, "//tbody/tr[1000]/td[2]/a")),
+    operation: (driver: WebDriver) =>
+        getTextByXPath(driver, "//tbody/tr[1000]/td[1]")
+        .then(id => clickElementById(driver, 'run')
+            .then(() => testTextNotContained(driver, "//tbody/tr[1000]/td[1]", id)))
+}
+
+export let leakChecks: LeakCheck[] = [leakCheckCreateClear, leakCheckReplace];
+
+// Counts the objects of a heap snapshot in the JSON format of chrome's DevTools
+export function countObjects(snapshot: any): HeapCounts {
+    let meta = snapshot.snapshot.meta;
+    let fieldCount = meta.node_fields.length;
+    let typeOffset = meta.node_fields.indexOf('type');
+    let nameOffset = meta.node_fields.indexOf('name');
+    // newer versions of chrome report detached DOM nodes in a separate field instead of their name
+    let detachednessOffset = meta.node_fields.indexOf('detachedness');
+    let types: string[] = meta.node_types[typeOffset];
+    let nodes: number[] = snapshot.nodes;
+    let counts: HeapCounts = {};
+    for (let i = 0; i < nodes.length; i += fieldCount) {
+        let type = types[nodes[i + typeOffset]];
+        if (type !== 'object' && type !== 'native') continue;
+        let name: string = snapshot.strings[nodes[i + nameOffset]];
+        if (detachednessOffset > -1 && nodes[i + detachednessOffset] === 2) name = 'Detached ' + name;
+        counts[name] = (counts[name] || 0) + 1;
+    }
+    return counts;
+}
+
+// Takes a heap snapshot of the tab that shows url. Taking the snapshot triggers a full garbage collection.
+export function takeHeapSnapshot(driver: WebDriver, url: string, port: number): promise.Promise<HeapCounts> {
+    return driver.call(() => CDP({port, target: (targets: any[]) => targets.filter(t => t.type === 'page' && t.url.indexOf(url) === 0)[0]})
+        .then((client: any) => {
+            let chunks: string[] = [];
+            client.on('HeapProfiler.addHeapSnapshotChunk', (params: any) => chunks.push(params.chunk));
+            return client.send('HeapProfiler.takeHeapSnapshot', {reportProgress: false})
+                .then(() => client.close())
+                .then(() => countObjects(JSON.parse(chunks.join(''))),
+                    (e: any) => {client.close(); throw e;});
+        }));
+}
+
+// Compares the snapshots taken before, after n and after 2n operations. Objects that grow by at least one instance per
+// operation in both intervals by roughly the same amount grow linearly in n and are reported as a leak.
+export function analyzeGrowth(framework: FrameworkData, check: LeakCheck, snapshots: HeapCounts[], n: number): LeakReport {
+    let names = Object.keys(snapshots[snapshots.length - 1]);
+    let growth = names.map(name => {
+        let counts = snapshots.map(s => s[name] || 0);
+        let first = counts[1] - counts[0], second = counts[2] - counts[1];
+        let linear = first >= n && second >= n && Math.min(first, second) / Math.max(first, second) >= 0.8;
+        return {name, counts, linear};
+    }).filter(g => g.counts[2] > g.counts[0])
+    .sort((a, b) => (b.counts[2] - b.counts[0]) - (a.counts[2] - a.counts[0]));
+    return {framework: framework.name, check: check.id, iterations: n, leaking: growth.some(g => g.linear), growth};
+}
+
+// port is the remote debugging port the browser of driver was started with
+export function runLeakCheck(driver: WebDriver, framework: FrameworkData, check: LeakCheck, n: number, port: number): promise.Promise<LeakReport> {
+    let url = `http://localhost:8080/${framework.uri}/`;
+    let snapshots: HeapCounts[] = [];
+    let snapshot = () => takeHeapSnapshot(driver, url, port).then(counts => {snapshots.push(counts);});
+    return driver.get(url)
+        .then(() => check.init(driver))
+        // the first operation initializes caches and lazily created objects
+        .then(() => check.operation(driver))
+        .then(snapshot)
+        .then(() => forProm(0, n, () => check.operation(driver)))
+        .then(snapshot)
+        .then(() => forProm(0, n, () => check.operation(driver)))
+        .then(snapshot)
+        .then(() => {
+            let report = analyzeGrowth(framework, check, snapshots, n);
+            if (config.LOG_PROGRESS) {
+                console.log(`${framework.name} ${check.id}: ${report.leaking ? 'LEAK' : 'ok'}`);
+                report.growth.slice(0, 10).forEach(g => console.log(`    ${g.name}: ${g.counts.join(' -> ')}${g.linear ? ' (grows linearly)' : ''}`));
+            }
+            return report;
+        });
+}
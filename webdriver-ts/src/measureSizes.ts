@@ -0,0 +1,30 @@
+import * as fs from 'fs';
+import * as yargs from 'yargs';
+import {frameworks} from './common'
+import {measureSizes, SIZES_DIR, BROTLI_UNAVAILABLE} from './bundle'
+
+let args = yargs(process.argv)
+.usage("$0 [--framework Framework1,Framework2,...]")
+.help('help')
+.array('framework')
+.argv;
+
+let frameworkNames: string[] = args.framework && args.framework.length > 0 ? args.framework : [""];
+
+if (args.help) {
+    yargs.showHelp();
+} else {
+    if (!fs.existsSync('results')) fs.mkdirSync('results');
+    if (!fs.existsSync(SIZES_DIR)) fs.mkdirSync(SIZES_DIR);
+    let kb = (bytes: number | string) => typeof bytes === 'number' ? (bytes / 1024).toFixed(1) : BROTLI_UNAVAILABLE;
+    frameworks.filter(f => frameworkNames.some(name => f.name.indexOf(name) > -1)).forEach(framework => {
+        let sizes = measureSizes(framework);
+        if (!sizes) {
+            console.log(`WARN: No scripts found for ${framework.name}. Is it built?`);
+            return;
+        }
+        fs.writeFileSync(`${SIZES_DIR}/${framework.name}.json`, JSON.stringify(sizes, null, 2), {encoding: 'utf8'});
+        console.log(`${framework.name}: js ${kb(sizes.js.size)} kB (gzip ${kb(sizes.js.gzipSize)}, brotli ${kb(sizes.js.brotliSize)}),`
+            + ` css ${kb(sizes.css.size)} kB (gzip ${kb(sizes.css.gzipSize)}, brotli ${kb(sizes.css.brotliSize)})`);
+    });
+}
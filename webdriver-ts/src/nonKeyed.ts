@@ -1,10 +1,15 @@
 import * as chrome from 'selenium-webdriver/chrome'
 import {Builder, WebDriver, promise, logging} from 'selenium-webdriver'
 import * as yargs from 'yargs'; 
+import * as fs from 'fs';
 var chromedriver:any = require('chromedriver');
 import {BenchmarkType, Benchmark, benchmarks, fileName} from './benchmarks'
-import {setUseShadowRoot, testTextContains, testTextNotContained, testClassContains, testElementLocatedByXpath, testElementNotLocatedByXPath, testElementLocatedById, clickElementById, clickElementByXPath, getTextByXPath, forProm} from './webdriverAccess'
-import {JSONResult, config, FrameworkData, frameworks} from './common'
+import {setShadowRootHost, testTextContains, testTextNotContained, testClassContains, testElementLocatedByXpath, testElementNotLocatedByXPath, testElementLocatedById, clickElementById, clickElementByXPath, getTextByXPath, forProm} from './webdriverAccess'
+import {JSONResult, config, FrameworkData, frameworks, updateKeyedDeclaration} from './common'
+
+const dots = require('dot').process({
+	path: './'
+});
 
 function buildDriver() {
     let logPref = new logging.Preferences();
@@ -26,16 +31,18 @@ window.nonKeyedDetector_reset = function() {
     window.nonKeyedDetector_tradded = 0;
     window.nonKeyedDetector_trremoved = 0;
     window.nonKeyedDetector_removedStoredTr = 0;
+    window.nonKeyedDetector_attributeChanges = 0;
+    window.nonKeyedDetector_textChanges = 0;
 }
 
-window.nonKeyedDetector_setUseShadowDom = function(useShadowDom ) {
-    window.nonKeyedDetector_shadowRoot = useShadowDom;
+window.nonKeyedDetector_setShadowRootHost = function(host) {
+    window.nonKeyedDetector_shadowRootHost = host;
 }
 
 window.nonKeyedDetector_instrument = function() {
     let node = document;
-    if (window.nonKeyedDetector_shadowRoot) {
-        let main = document.querySelector("main-element");
+    if (window.nonKeyedDetector_shadowRootHost) {
+        let main = document.querySelector(window.nonKeyedDetector_shadowRootHost);
         if (!main) return;
         node = main.shadowRoot;
     }
@@ -52,6 +59,14 @@ window.nonKeyedDetector_instrument = function() {
         return trCount;
     }
 
+    function countTextNodesInNodeList(nodeList) {
+        let textCount = 0;
+        nodeList.forEach(n => {
+            if (n.nodeType===Node.TEXT_NODE) textCount++;
+        });
+        return textCount;
+    }
+
     function countSelectedTRInNodeList(nodeList) {
         let trFoundCount = 0;
         nodeList.forEach(n => {
@@ -68,6 +83,11 @@ window.nonKeyedDetector_instrument = function() {
                 nonKeyedDetector_tradded += countTRInNodeList(mutation.addedNodes);
                 nonKeyedDetector_trremoved += countTRInNodeList(mutation.removedNodes);
                 nonKeyedDetector_removedStoredTr += countSelectedTRInNodeList(mutation.removedNodes)
+                nonKeyedDetector_textChanges += countTextNodesInNodeList(mutation.addedNodes);
+            } else if (mutation.type === 'attributes') {
+                nonKeyedDetector_attributeChanges++;
+            } else if (mutation.type === 'characterData') {
+                nonKeyedDetector_textChanges++;
             }
             // console.log(mutation.type, mutation.addedNodes.length, mutation.removedNodes.length, mutation);
         });    
@@ -78,12 +98,17 @@ window.nonKeyedDetector_instrument = function() {
     return true;
 }
 window.nonKeyedDetector_result = function() {
-    return {tradded: nonKeyedDetector_tradded, trremoved: nonKeyedDetector_trremoved, removedStoredTr: nonKeyedDetector_removedStoredTr};
+    let storedTr = null;
+    if (window.storedTr) {
+        storedTr = nonKeyedDetector_removedStoredTr>0 ? 'removed' : window.storedTr.parentNode ? 'reused' : 'detached';
+    }
+    return {tradded: nonKeyedDetector_tradded, trremoved: nonKeyedDetector_trremoved, removedStoredTr: nonKeyedDetector_removedStoredTr,
+        attributeChanges: nonKeyedDetector_attributeChanges, textChanges: nonKeyedDetector_textChanges, storedTr: storedTr};
 }
 window.nonKeyedDetector_storeTr = function() {
     let node = document;
-    if (window.nonKeyedDetector_shadowRoot) {
-        let main = document.querySelector("main-element");
+    if (window.nonKeyedDetector_shadowRootHost) {
+        let main = document.querySelector(window.nonKeyedDetector_shadowRootHost);
         if (main) node = main.shadowRoot;
     }
     window.storedTr = node.querySelector('tr:nth-child(2)');
@@ -91,50 +116,99 @@ window.nonKeyedDetector_storeTr = function() {
 window.nonKeyedDetector_reset();
 `;
 
-function isNonKeyedRun(result: any): boolean {
+// Mutations the detector counted during one operation
+interface MutationStats {
+    tradded: number;
+    trremoved: number;
+    removedStoredTr: number;
+    attributeChanges: number;
+    textChanges: number;
+    // Only for remove: the tr that was the second row before was 'removed' (keyed), 'reused' for another row
+    // or 'detached' without a childList mutation of the table
+    storedTr: string;
+}
+
+interface OperationReport extends MutationStats {
+    nonKeyed: boolean;
+}
+
+// Result of the detection for a framework, stored in results/meta/nonkeyed.json
+interface NonKeyedReport {
+    framework: string;
+    declaredNonKeyed: boolean;
+    nonKeyed: boolean;
+    correct: boolean;
+    operations: {swap: OperationReport, run: OperationReport, remove: OperationReport};
+    // set if the check itself failed, then nonKeyed and operations are null
+    error?: string;
+    date: string;
+}
+
+const REPORT_FILE = "results/meta/nonkeyed.json";
+
+function isNonKeyedRun(result: MutationStats): boolean {
     if (result.tradded>0 && result.trremoved>0) return false;
     return true;
 }
-function isNonKeyedRemove(result: any): boolean {
+function isNonKeyedRemove(result: MutationStats): boolean {
     if (result.removedStoredTr>0) return false;
     return true;
 }
-function isNonKeyedSwapRow(result: any): boolean {
+function isNonKeyedSwapRow(result: MutationStats): boolean {
     if (result.tradded>0 && result.trremoved>0) return false;
     return true;
 }
 
-function runBench(frameworkNames: string[]) {
+function operationReport(result: MutationStats, isNonKeyed: (result: MutationStats) => boolean): OperationReport {
+    return Object.assign({}, result, {nonKeyed: isNonKeyed(result)});
+}
+
+function readReports(): {[framework: string]: NonKeyedReport} {
+    if (!fs.existsSync(REPORT_FILE)) return {};
+    return JSON.parse(fs.readFileSync(REPORT_FILE, {encoding: 'utf8'}));
+}
+
+function writeReports(reports: {[framework: string]: NonKeyedReport}) {
+    if (!fs.existsSync('results')) fs.mkdirSync('results');
+    if (!fs.existsSync('results/meta')) fs.mkdirSync('results/meta');
+    fs.writeFileSync(REPORT_FILE, JSON.stringify(reports, null, 2), {encoding: 'utf8'});
+    let sorted = Object.keys(reports).sort().map(name => reports[name]);
+    fs.writeFileSync('./nonkeyed.html', dots.nonkeyed({
+        reports: sorted,
+        operations: ['swap', 'run', 'remove']
+    }), {encoding: 'utf8'});
+}
+
+function runBench(frameworkNames: string[], fix: boolean) {
     let runFrameworks = frameworks.filter(f => frameworkNames.some(name => f.name.indexOf(name)>-1));
     console.log("Frameworks that will be checked", runFrameworks.map(f => f.name));
 
-    let frameworkMap = new Map<String, FrameworkData>();
-    frameworks.forEach(f => frameworkMap.set(f.name, f));
+    let reports = readReports();
 
     return forProm(0, runFrameworks.length, (i) => {
         let framework = runFrameworks[i];
         let driver = buildDriver();
         let text: string;
-        let nonKeyedRun = false, nonKeyedRemove = false, nonKeyedSwap = false;
-        setUseShadowRoot(framework.useShadowRoot);
+        let swap: OperationReport, run: OperationReport, remove: OperationReport;
+        setShadowRootHost(framework.shadowRootHost);
         return driver.get(`http://localhost:8080/${framework.uri}/`)
             .then(() => testElementLocatedById(driver, "add"))
             .then(() => clickElementById(driver,'run'))
             .then(() => testTextContains(driver,'//tbody/tr[1000]/td[1]','1000'))
             .then(() => driver.executeScript(init))
-            .then(() => driver.executeScript(`window.nonKeyedDetector_setUseShadowDom(${framework.useShadowRoot});`))
+            .then(() => driver.executeScript('window.nonKeyedDetector_setShadowRootHost(arguments[0]);', framework.shadowRootHost))
             .then(() => driver.executeScript('window.nonKeyedDetector_instrument()'))
             // swap
             .then(() => clickElementById(driver,'swaprows'))
             .then(() => testTextContains(driver,'//tbody/tr[10]/td[1]','5'))
-            .then(() => driver.executeScript('return nonKeyedDetector_result()'))
-            .then(res => {nonKeyedSwap =isNonKeyedSwapRow(res); /*console.log(res);*/ })
+            .then(() => driver.executeScript<MutationStats>('return nonKeyedDetector_result()'))
+            .then(res => {swap = operationReport(res, isNonKeyedSwapRow);})
             // run
             .then(() => driver.executeScript('window.nonKeyedDetector_reset()'))
             .then(() => clickElementById(driver,'run'))
             .then(() => testTextContains(driver,'//tbody/tr[1000]/td[1]','2000'))
-            .then(() => driver.executeScript('return nonKeyedDetector_result()'))
-            .then(res => {nonKeyedRun =isNonKeyedRun(res); /*console.log(res);*/ })
+            .then(() => driver.executeScript<MutationStats>('return nonKeyedDetector_result()'))
+            .then(res => {run = operationReport(res, isNonKeyedRun);})
             // remove
             .then(() => driver.executeScript('nonKeyedDetector_storeTr()'))
             .then(() => getTextByXPath(driver, `//tbody/tr[2]/td[2]/a`))
@@ -142,26 +216,43 @@ function runBench(frameworkNames: string[]) {
             .then(() => driver.executeScript('window.nonKeyedDetector_reset()'))
             .then(() => clickElementByXPath(driver, `//tbody/tr[2]/td[3]/a/span[1]`))
             .then(() => testTextNotContained(driver, `//tbody/tr[2]/td[2]/a`, text))
-            .then(() => driver.executeScript('return nonKeyedDetector_result()'))
-            .then(res => {nonKeyedRemove =isNonKeyedRemove(res); /*console.log(res);*/ })
+            .then(() => driver.executeScript<MutationStats>('return nonKeyedDetector_result()'))
+            .then(res => {remove = operationReport(res, isNonKeyedRemove);})
             .then(() => {
-                    let nonKeyed = nonKeyedRemove || nonKeyedRun || nonKeyedSwap;
-                    console.log(framework.name +" is "+(nonKeyedRun ? "non-keyed" : "keyed")+" for 'run benchmark' and " 
-                    + (nonKeyedRemove ? "non-keyed" : "keyed") + " for 'remove row benchmark' "
-                    + (nonKeyedSwap ? "non-keyed" : "keyed") + " for 'swap rows benchmark' "
+                    let nonKeyed = remove.nonKeyed || run.nonKeyed || swap.nonKeyed;
+                    console.log(framework.name +" is "+(run.nonKeyed ? "non-keyed" : "keyed")+" for 'run benchmark' and " 
+                    + (remove.nonKeyed ? "non-keyed" : "keyed") + " for 'remove row benchmark' "
+                    + (swap.nonKeyed ? "non-keyed" : "keyed") + " for 'swap rows benchmark' "
                     +". It'll appear as "+(nonKeyed ? "non-keyed" : "keyed")+" in the results");
-                    if (frameworkMap.get(framework.name).nonKeyed !== nonKeyed) {
-                        console.log("ERROR: Framework "+framework.name+" is not correctly categorized in commons.ts");
+                    let report: NonKeyedReport = {framework: framework.name, declaredNonKeyed: framework.nonKeyed, nonKeyed,
+                        correct: framework.nonKeyed === nonKeyed, operations: {swap, run, remove}, date: new Date().toISOString()};
+                    if (!report.correct) {
+                        if (fix) {
+                            updateKeyedDeclaration(framework, !nonKeyed);
+                            console.log(`Fixed: ${framework.name} is now declared as "keyed": ${!nonKeyed} in ${framework.directory}/package.json`);
+                        } else {
+                            console.log(`ERROR: Framework ${framework.name} is declared as "keyed": ${!framework.nonKeyed} in ${framework.directory}/package.json. Run with --fix to correct it.`);
+                            process.exitCode = 1;
+                        }
                     }
+                    reports[framework.name] = report;
             })        
-            .then(() => {driver.quit();}, () => {driver.quit();})
-    })
+            .then(() => {driver.quit();}, (e) => {
+                console.log(`ERROR: Check of ${framework.name} failed`, e);
+                reports[framework.name] = {framework: framework.name, declaredNonKeyed: framework.nonKeyed, nonKeyed: null,
+                    correct: false, operations: null, error: String(e).split('\n')[0], date: new Date().toISOString()};
+                process.exitCode = 1;
+                driver.quit();
+            })
+    }).then(() => writeReports(reports));
 }
 
 let args = yargs(process.argv)
-.usage("$0 [--framework Framework1,Framework2,...]")
+.usage("$0 [--framework Framework1,Framework2,...] [--fix]")
 .help('help')
 .default('check','false')
+.boolean('fix')
+.describe('fix', 'Correct "keyed" in the package.json of frameworks that are categorized wrongly')
 .array("framework").array("benchmark").argv;
 
 let runFrameworks = args.framework && args.framework.length>0 ? args.framework : [""];
@@ -169,7 +260,7 @@ let runFrameworks = args.framework && args.framework.length>0 ? args.framework :
 if (args.help) {
     yargs.showHelp();
 } else {
-    runBench(runFrameworks);
+    runBench(runFrameworks, args.fix);
 }
 // console.log(promise.Promise);
 //         let driver = buildDriver();
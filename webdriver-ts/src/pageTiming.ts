@@ -0,0 +1,89 @@
+import {WebDriver, promise, Condition} from 'selenium-webdriver'
+import {config} from './common'
+import {Timingresult} from './trace'
+
+// Browsers other than chrome don't provide the timeline through webdriver, so the duration is measured in the page.
+// The click starts the measurement and every DOM mutation pushes its end to the frame after the mutation. The end
+// is taken in a timeout after requestAnimationFrame, i.e. after the browser rendered the frame.
+// arguments[0] is the shadow root host of the framework whose mutations are observed, too.
+const INSTALL = `
+    var host = arguments[0];
+    var timing = window.__benchmarkTiming = {start: null, end: null, pending: 0};
+    function afterNextFrame() {
+        timing.pending++;
+        requestAnimationFrame(function() {
+            setTimeout(function() {
+                timing.pending--;
+                timing.end = performance.now();
+                if (timing.pending === 0) performance.mark('benchmark-end');
+            }, 0);
+        });
+    }
+    document.addEventListener('click', function() {
+        if (timing.start !== null) return;
+        performance.mark('benchmark-start');
+        timing.start = performance.now();
+        afterNextFrame();
+    }, true);
+    var observer = new MutationObserver(function() {
+        if (timing.start !== null) afterNextFrame();
+    });
+    var options = {childList: true, attributes: true, characterData: true, subtree: true};
+    observer.observe(document, options);
+    var hostElement = host && document.querySelector(host);
+    if (hostElement && hostElement.shadowRoot) observer.observe(hostElement.shadowRoot, options);
+`;
+
+const READ = `
+    var timing = window.__benchmarkTiming;
+    if (!timing || timing.start === null || timing.pending > 0) return null;
+    return {start: timing.start, end: timing.end};
+`;
+
+// The page load is the startup, it ends with the load event
+const READ_STARTUP = `
+    var t = performance.timing;
+    if (!t.loadEventEnd) return null;
+    return {start: 0, end: t.loadEventEnd - t.navigationStart};
+`;
+
+export function installPageTiming(driver: WebDriver, shadowRootHost: string): promise.Promise<any> {
+    return driver.executeScript(INSTALL, shadowRootHost);
+}
+
+// Returns the timings in the format of extractTimings, i.e. [click, last paint] or [, last paint, , navigation start]
+// for the startup. Timestamps are converted to microseconds like the trace timestamps.
+export function readPageTiming(driver: WebDriver, startup: boolean): promise.Promise<Timingresult[]> {
+    return driver.wait(new Condition<{start: number, end: number}>('readPageTiming',
+        (driver) => driver.executeScript<{start: number, end: number}>(startup ? READ_STARTUP : READ)), config.TIMEOUT)
+        .then(timing => {
+            let start = timing.start * 1000, end = timing.end * 1000;
+            let paint: Timingresult = {type: 'paint', ts: end, end};
+            if (startup) return [null, paint, null, {type: 'navigationStart', ts: start}];
+            return [{type: 'click', ts: start}, paint];
+        });
+}
+
+// The measures of shared/timing.js. Waiting for a timeout lets pending stopMeasure calls finish first.
+const READ_USER_TIMING = `
+    var done = arguments[arguments.length - 1];
+    setTimeout(function() {
+        var measures = performance.getEntriesByType ? performance.getEntriesByType('measure') : [];
+        done(measures.map(function(m) { return {name: m.name, startTime: m.startTime, duration: m.duration}; }));
+    }, 0);
+`;
+
+export function clearUserTiming(driver: WebDriver): promise.Promise<any> {
+    return driver.executeScript("if (performance.clearMeasures) performance.clearMeasures();");
+}
+
+// Sums up the measures the framework recorded since clearUserTiming. Returns null for frameworks that don't use
+// shared/timing.js.
+export function readUserTiming(driver: WebDriver): promise.Promise<Timingresult> {
+    return driver.executeAsyncScript<Array<{name: string, startTime: number, duration: number}>>(READ_USER_TIMING)
+        .then(measures => {
+            if (measures.length === 0) return null;
+            return {type: 'userTiming', ts: measures[0].startTime * 1000,
+                dur: measures.reduce((sum, m) => sum + m.duration, 0)};
+        });
+}
@@ -1,6 +1,10 @@
 import * as fs from 'fs';
 import {BenchmarkType, Benchmark, benchmarks, fileName} from './benchmarks'
 import {JSONResult, config, FrameworkData, frameworks} from './common'
+import {welchTTest} from './statistics'
+
+// Significance level of the t-test, the confidence interval covers 1 - ALPHA
+const ALPHA = 0.05;
 
 const dots = require('dot').process({
 	path: './'
@@ -13,7 +17,8 @@ function parse(fileName: string) {
 }
 
 class ResultCheck {
-    constructor(public result: string, public styleClass: string, public origTime: string, public checkTime: string) {}
+    constructor(public result: string, public styleClass: string, public origTime: string, public checkTime: string,
+        public verdict: string = "", public interval: string = "") {}
 }
 
 class CheckResultList {
@@ -58,7 +63,16 @@ for (let i= 0;i<benchmarks.length;i++) {
             let checkRun = parse(checkRunName);
             let difference = (checkRun.mean - origRun.mean) / ((origRun.mean + checkRun.mean) * 0.5);
             console.log("both files exist for ",framework.name, benchmark.id, difference, origRun.mean, checkRun.mean);
-            row.push(new ResultCheck((difference * 100).toFixed(1)+"%", color(Math.abs(difference)), origRun.mean.toFixed(0)+"±"+origRun.standardDeviation.toFixed(1), checkRun.mean.toFixed(0)+"±"+checkRun.standardDeviation.toFixed(1)));                              
+            let test = origRun.samples && checkRun.samples ? welchTTest(origRun.samples.map(s => s.value), checkRun.samples.map(s => s.value), ALPHA) : null;
+            let verdict = "no raw samples", interval = "";
+            if (test) {
+                verdict = (test.significant ? "significant" : "not significant") + " (p="+test.pValue.toFixed(3)+")";
+                interval = +((1 - ALPHA) * 100).toFixed(2)+"% CI ["+test.lower.toFixed(1)+", "+test.upper.toFixed(1)+"]";
+            }
+            // Differences that aren't significant are just noise and shouldn't attract attention
+            let styleClass = test && !test.significant ? color(0) : color(Math.abs(difference));
+            row.push(new ResultCheck((difference * 100).toFixed(1)+"%", styleClass, origRun.mean.toFixed(0)+"±"+origRun.standardDeviation.toFixed(1), checkRun.mean.toFixed(0)+"±"+checkRun.standardDeviation.toFixed(1),
+                verdict, interval));
         } else if (fs.existsSync(origRunName)) {
             row.push(new ResultCheck("no file in results_check", "#f00", "", ""));
         } else if (fs.existsSync(checkRunName)) {
@@ -73,6 +87,7 @@ for (let i= 0;i<benchmarks.length;i++) {
 fs.writeFileSync('./check.html', dots.check({
 	frameworks: frameworks.map(framework => framework.name.replace('-v', ' v')),
 	resultRow,
+	alpha: ALPHA,
 }), {
 	encoding: 'utf8'
 })
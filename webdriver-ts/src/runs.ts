@@ -0,0 +1,92 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import {execSync} from 'child_process';
+import {JSONResult, FrameworkData} from './common'
+
+// Every benchmark run is archived in runs/<runId> together with the metadata of the machine it ran on
+export const RUNS_DIR = "runs";
+
+export interface RunMetadata {
+    runId: string;
+    date: string;
+    browserVersion?: string;
+    cpu: string;
+    cpuCount: number;
+    totalMemory: number;
+    platform: string;
+    // git commit of the last change of each benchmarked framework directory
+    commits: {[framework: string]: {commit: string, dirty: boolean}};
+}
+
+export function newRunId(): string {
+    return new Date().toISOString().replace(/:/g, '-').replace(/\..*$/, '');
+}
+
+export function runDir(runId: string) {
+    return path.join(RUNS_DIR, runId);
+}
+
+function gitCommit(directory: string): {commit: string, dirty: boolean} {
+    let cwd = path.join(__dirname, '..', '..');
+    try {
+        let commit = execSync(`git log -1 --format=%H -- "${directory}"`, {cwd, encoding: 'utf8'}).trim();
+        let dirty = execSync(`git status --porcelain -- "${directory}"`, {cwd, encoding: 'utf8'}).trim().length > 0;
+        return {commit, dirty};
+    } catch (e) {
+        console.log(`WARN: Can't determine git commit for ${directory}`);
+        return {commit: null, dirty: false};
+    }
+}
+
+function writeMetadata(metadata: RunMetadata) {
+    fs.writeFileSync(path.join(runDir(metadata.runId), 'run.json'), JSON.stringify(metadata, null, 2), {encoding: 'utf8'});
+}
+
+export function readMetadata(runId: string): RunMetadata {
+    return <RunMetadata>JSON.parse(fs.readFileSync(path.join(runDir(runId), 'run.json'), {encoding: 'utf8'}));
+}
+
+// Creates the run directory or extends the metadata if a run is continued
+export function startRun(runId: string, frameworks: FrameworkData[]): RunMetadata {
+    if (!fs.existsSync(RUNS_DIR)) fs.mkdirSync(RUNS_DIR);
+    if (!fs.existsSync(runDir(runId))) fs.mkdirSync(runDir(runId));
+    let cpus = os.cpus();
+    let metadata: RunMetadata = fs.existsSync(path.join(runDir(runId), 'run.json')) ? readMetadata(runId) : {
+        runId,
+        date: new Date().toISOString(),
+        cpu: cpus.length > 0 ? cpus[0].model : 'unknown',
+        cpuCount: cpus.length,
+        totalMemory: os.totalmem(),
+        platform: `${os.platform()} ${os.release()}`,
+        commits: {}
+    };
+    frameworks.forEach(framework => metadata.commits[framework.name] = gitCommit(framework.directory));
+    writeMetadata(metadata);
+    return metadata;
+}
+
+export function setBrowserVersion(metadata: RunMetadata, version: string) {
+    if (metadata.browserVersion === version) return;
+    if (metadata.browserVersion) console.log(`WARN: Browser version changed from ${metadata.browserVersion} to ${version} during run ${metadata.runId}`);
+    metadata.browserVersion = version;
+    writeMetadata(metadata);
+}
+
+export function archiveResult(metadata: RunMetadata, fileName: string, result: JSONResult) {
+    fs.writeFileSync(path.join(runDir(metadata.runId), fileName), JSON.stringify(result), {encoding: 'utf8'});
+}
+
+// Returns the run ids ordered by the start of the run, i.e. the last one is the latest run
+export function listRuns(): string[] {
+    if (!fs.existsSync(RUNS_DIR)) return [];
+    return fs.readdirSync(RUNS_DIR).filter(name => fs.existsSync(path.join(runDir(name), 'run.json')))
+        .map(name => ({name, date: readMetadata(name).date}))
+        .sort((a, b) => a.date < b.date ? -1 : a.date > b.date ? 1 : 0)
+        .map(run => run.name);
+}
+
+export function readRunResults(runId: string): JSONResult[] {
+    return fs.readdirSync(runDir(runId)).filter(file => file.endsWith('.json') && file !== 'run.json')
+        .map(file => <JSONResult>JSON.parse(fs.readFileSync(path.join(runDir(runId), file), {encoding: 'utf8'})));
+}
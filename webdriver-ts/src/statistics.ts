@@ -0,0 +1,39 @@
+var jStat:any = require('jstat').jStat;
+
+export interface SignificanceResult {
+    // difference of the means (b - a) and its confidence interval
+    difference: number;
+    lower: number;
+    upper: number;
+    pValue: number;
+    degreesOfFreedom: number;
+    significant: boolean;
+}
+
+// Welch's t-test for two samples with possibly different variances.
+// Returns null if one of the samples has less than two values.
+export function welchTTest(a: number[], b: number[], alpha = 0.05): SignificanceResult {
+    if (a.length < 2 || b.length < 2) return null;
+    let meanA = jStat.mean(a), meanB = jStat.mean(b);
+    // jStat.variance with flag=true computes the sample variance
+    let seA = jStat.variance(a, true) / a.length;
+    let seB = jStat.variance(b, true) / b.length;
+    let se = Math.sqrt(seA + seB);
+    let difference = meanB - meanA;
+    if (se === 0) {
+        return {difference, lower: difference, upper: difference, pValue: difference === 0 ? 1 : 0,
+            degreesOfFreedom: a.length + b.length - 2, significant: difference !== 0};
+    }
+    let dof = Math.pow(seA + seB, 2) / (seA * seA / (a.length - 1) + seB * seB / (b.length - 1));
+    let t = difference / se;
+    let pValue = 2 * jStat.studentt.cdf(-Math.abs(t), dof);
+    let tCrit = jStat.studentt.inv(1 - alpha / 2, dof);
+    return {
+        difference,
+        lower: difference - tCrit * se,
+        upper: difference + tCrit * se,
+        pValue,
+        degreesOfFreedom: dof,
+        significant: pValue < alpha
+    };
+}
@@ -0,0 +1,181 @@
+import {WebDriver, promise, logging} from 'selenium-webdriver'
+import * as fs from 'fs';
+import {config} from './common'
+
+// Event of the chrome trace event format as delivered by the DevTools protocol in Tracing.dataCollected
+export interface TraceEvent {
+    name: string;
+    cat: string;
+    ph: string;
+    ts: number;
+    dur?: number;
+    pid: number;
+    tid: number;
+    args: any;
+}
+
+export interface Timingresult {
+    type: string;
+    ts: number;
+    dur?: number;
+    end?: number;
+    mem?: number;
+    phases?: PhaseDurations;
+}
+
+// Durations in ms of the phases of the main thread work
+export interface PhaseDurations {
+    [phase: string]: number;
+}
+
+// Trace events that are attributed to the phases. Events of one phase can be nested (e.g. FunctionCall
+// within EventDispatch) and are thus merged before the durations are summed up.
+const PHASE_EVENTS: {[phase: string]: string[]} = {
+    script: ['EventDispatch', 'FunctionCall', 'EvaluateScript', 'TimerFire', 'FireAnimationFrame', 'RunMicrotasks', 'FireIdleCallback', 'GCEvent', 'MinorGC', 'MajorGC'],
+    style: ['UpdateLayoutTree', 'RecalculateStyles'],
+    layout: ['Layout'],
+    paint: ['Paint', 'UpdateLayerTree', 'CompositeLayers']
+};
+
+// Script that runs during the startup, the end of the last one marks when the application is ready
+const STARTUP_SCRIPT_EVENTS = ['EvaluateScript', 'FunctionCall', 'TimerFire', 'RunMicrotasks', 'FireAnimationFrame'];
+// Parsing and compiling of scripts by v8
+const COMPILE_EVENTS = ['v8.compile', 'V8.ScriptCompiler'];
+
+// Categories needed to compute the benchmark results
+export const TRACE_CATEGORIES = "v8,blink.console,disabled-by-default-devtools.timeline,devtools.timeline,blink.user_timing";
+// Additional categories such that the trace files can be inspected in the performance panel of the DevTools
+export const FULL_TRACE_CATEGORIES = TRACE_CATEGORIES + ",loading,latencyInfo,v8.execute,disabled-by-default-devtools.timeline.frame,disabled-by-default-devtools.timeline.stack,disabled-by-default-v8.cpu_profiler";
+
+// Headless chrome doesn't reliably report Paint events. These events mark the end of the rendering pipeline for a frame
+// and are used as a fallback signal that the browser finished its work.
+const END_OF_WORK_EVENTS = ['CompositeLayers', 'UpdateLayerTree', 'Layout', 'UpdateLayoutTree'];
+
+// Events that start an interaction in mobile mode
+const TOUCH_EVENTS = ['touchstart', 'touchend'];
+
+// Returns the trace events that chromedriver collected via the DevTools protocol since the last call
+export function readTrace(driver: WebDriver): promise.Promise<TraceEvent[]> {
+    return driver.manage().logs().get(logging.Type.PERFORMANCE).then(entries => {
+        let events: TraceEvent[] = [];
+        entries.forEach(x => {
+            let e = JSON.parse(x.message).message;
+            if (config.LOG_DEBUG) console.log(e);
+            if (e.method === 'Tracing.dataCollected') events.push(e.params);
+        });
+        return events;
+    });
+}
+
+// Writes the events in the JSON trace format that can be loaded in the performance panel of the DevTools
+export function writeTrace(fileName: string, events: TraceEvent[]) {
+    fs.writeFileSync(fileName, JSON.stringify({traceEvents: events}), {encoding: "utf8"});
+}
+
+// Total time in ms covered by the events between from and to (in microseconds). Nested events are only counted once.
+function coveredTime(events: TraceEvent[], from: number, to: number): number {
+    let intervals = events.map(e => [Math.max(from, e.ts), Math.min(to, e.ts + e.dur)])
+        .filter(i => i[0] < i[1])
+        .sort((a, b) => a[0] - b[0]);
+    let total = 0, start = -1, end = -1;
+    intervals.forEach(i => {
+        if (i[0] > end) {
+            total += end - start;
+            start = i[0];
+            end = i[1];
+        } else {
+            end = Math.max(end, i[1]);
+        }
+    });
+    total += end - start;
+    return total / 1000.0;
+}
+
+function completeEvents(events: TraceEvent[], tid: number, names: string[]) {
+    return events.filter(e => e.tid === tid && e.ph === 'X' && e.dur > 0 && names.indexOf(e.name)>-1);
+}
+
+// Sums up the time spent in each phase on the thread tid between from and to (in microseconds).
+// Phases can overlap, e.g. if script forces a synchronous layout.
+export function extractPhases(events: TraceEvent[], tid: number, from: number, to: number): PhaseDurations {
+    let phases: PhaseDurations = {};
+    Object.keys(PHASE_EVENTS).forEach(phase => {
+        phases[phase] = coveredTime(completeEvents(events, tid, PHASE_EVENTS[phase]), from, to);
+    });
+    return phases;
+}
+
+// Breakdown of the startup on the renderer's main thread tid. firstPaint and interactive are measured from
+// navigationStart, interactive is the end of the first paint after the last script ran, i.e. when the page
+// shows the #run button and the event handlers are registered.
+export function extractStartupPhases(events: TraceEvent[], tid: number, navigationStart: number, lastPaintEnd: number): PhaseDurations {
+    let paints = events.filter(e => e.name === 'Paint' && e.ts >= navigationStart && e.ts <= lastPaintEnd).sort((a, b) => a.ts - b.ts);
+    let scripts = completeEvents(events, tid, STARTUP_SCRIPT_EVENTS).filter(e => e.ts >= navigationStart && e.ts <= lastPaintEnd);
+    let lastScriptEnd = scripts.reduce((end, e) => Math.max(end, e.ts + e.dur), navigationStart);
+    let firstPaint = paints.length > 0 ? paints[0].ts + (+paints[0].dur || 0) : lastPaintEnd;
+    let interactivePaint = paints.filter(e => e.ts >= lastScriptEnd)[0];
+    let interactive = interactivePaint ? interactivePaint.ts + (+interactivePaint.dur || 0) : lastPaintEnd;
+    return {
+        firstPaint: (firstPaint - navigationStart) / 1000.0,
+        interactive: (interactive - navigationStart) / 1000.0,
+        scriptEvaluation: coveredTime(completeEvents(events, tid, ['EvaluateScript']), navigationStart, lastPaintEnd),
+        compile: coveredTime(completeEvents(events, tid, COMPILE_EVENTS), navigationStart, lastPaintEnd)
+    };
+}
+
+// Computes [click, lastPaint, mem, navigationStart, phases] from the trace events.
+// The phases are only computed if both the click (or for the startup the navigationStart) and a paint were found.
+// In mobile mode the interaction starts at the first touch event. Pages without touch handlers may not get touch events
+// dispatched, then the click is used.
+export function extractTimings(events: TraceEvent[]): Timingresult[] {
+    let click : Timingresult = null;
+    let clickTid : number = null;
+    let touch : Timingresult = null;
+    let touchTid : number = null;
+    let navigationTid : number = null;
+    let lastPaint : Timingresult = {type:'paint', ts: 0, dur: 0, end: 0};
+    let lastEndOfWork : Timingresult = null;
+    let mem : Timingresult = null;
+    let navigationStart : Timingresult = null;
+    events.forEach(e => {
+        if (e.name==='EventDispatch') {
+            if (e.args.data.type==="click") {
+                click = {type:'click', ts: +e.ts, dur: +e.dur, end: +e.ts+e.dur};
+                clickTid = e.tid;
+            } else if (config.MOBILE && TOUCH_EVENTS.indexOf(e.args.data.type)>-1 && (!touch || +e.ts < touch.ts)) {
+                touch = {type: e.args.data.type, ts: +e.ts, dur: +e.dur, end: +e.ts+e.dur};
+                touchTid = e.tid;
+            }
+        } else if (e.name==='navigationStart') {
+            navigationStart = {type:'navigationStart', ts: +e.ts, dur: 0, end: +e.ts};
+            navigationTid = e.tid;
+        } else if (e.name==='Paint') {
+            if (e.ts > lastPaint.ts) {
+                lastPaint = {type:'paint', ts: +e.ts, dur: +e.dur, end: +e.ts+e.dur};
+            }
+        } else if (e.name==='MajorGC' && e.args.usedHeapSizeAfter) {
+            mem = {type:'gc', ts: +e.ts, mem: Number(e.args.usedHeapSizeAfter)/1024/1024};
+        } else if (END_OF_WORK_EVENTS.indexOf(e.name)>-1) {
+            let end = +e.ts+(+e.dur || 0);
+            if (!lastEndOfWork || end > lastEndOfWork.end) {
+                lastEndOfWork = {type:'endOfWork', ts: +e.ts, dur: +e.dur || 0, end: end};
+            }
+        }
+    });
+    if (config.HEADLESS && lastPaint.ts===0 && lastEndOfWork) {
+        if (config.LOG_DETAILS) console.log("no paint event found, using "+lastEndOfWork.type+" as end of work");
+        lastPaint = lastEndOfWork;
+    }
+    if (touch && (!click || touch.ts < click.ts)) {
+        click = touch;
+        clickTid = touchTid;
+    }
+    let phases : Timingresult = null;
+    if (click && lastPaint.end > click.ts) {
+        phases = {type:'phases', ts: click.ts, end: lastPaint.end, phases: extractPhases(events, clickTid, click.ts, lastPaint.end)};
+    } else if (!click && navigationStart && lastPaint.end > navigationStart.ts) {
+        phases = {type:'phases', ts: navigationStart.ts, end: lastPaint.end,
+            phases: extractStartupPhases(events, navigationTid, navigationStart.ts, lastPaint.end)};
+    }
+    return [click, lastPaint, mem, navigationStart, phases];
+}
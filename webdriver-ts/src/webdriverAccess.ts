@@ -1,78 +1,49 @@
 import * as chrome from 'selenium-webdriver/chrome'
 import {By, until, Builder, WebDriver, Locator, promise, WebElement, Condition} from 'selenium-webdriver'
 import {config} from './common'
+import {sendDevToolsCommand} from './emulation'
 
-interface PathPart {
-    tagName: string;
-    index: number;
-}
+// Selector of the element whose shadow root contains the benchmark, null if the benchmark is in the light DOM
+let shadowRootHost: string = null;
 
-let useShadowRoot = false;
+export function setShadowRootHost(host: string) {
+    shadowRootHost = host;
+}
 
-export function setUseShadowRoot(val: boolean) {
-    useShadowRoot = val;
+// Locators starting with / or ( are XPath expressions, everything else is a CSS selector. In a CSS selector
+// ">>>" steps into the shadow root of the element matched so far, e.g. "my-app >>> my-table >>> tbody > tr".
+export function isXPath(locator: string) {
+    return /^\.?\(*\//.test(locator);
 }
 
-function convertPath(path: string): Array<PathPart> {
-    let parts = path.split(/\//).filter(v => !!v);
-    let res: Array<PathPart> = [];
-    for (let part of parts) {
-        let components = part.split(/\[|]/).filter(v => !!v);
-        let tagName = components[0];
-        let index:number = 0;
-        if (components.length==2) {
-            index = Number(components[1]); 
-            if (!index) {
-                console.log("Index can't be parsed", components[1])
-                throw "Index can't be parsed "+components[1];
-            }
-        } else {
-            index = 1;
-        }
-        res.push({tagName, index});
+// Resolves the locator in the page. arguments[0] is the shadow root host, arguments[1] the CSS selector or XPath
+// and arguments[2] tells which of both it is. Below a shadow root host an absolute XPath like //tbody/tr[2] is
+// evaluated relative to the shadow root, as / would select the document otherwise.
+const FIND_ELEMENT = `
+    var host = arguments[0], locator = arguments[1], xpath = arguments[2];
+    var node = document;
+    if (host) {
+        node = document.querySelector(host);
+        if (!node || !node.shadowRoot) return null;
+        node = node.shadowRoot;
     }
-    return res;
-}
-
-// Fake findByXPath for simple XPath expressions to allow usage with shadow dom
-function findByXPath(node: WebElement, path: string): promise.Promise<WebElement> {
-    // if there wasn't polymer with it's shadow dom useage one would like to use:
-
-     let paths = convertPath(path);
-     let n = promise.fulfilled(node);
-     for (let p of paths) {
-         // n = n.then(nd => nd.findElements(By.tagName(p.tagName))).then(elems => { // costly since it fetches all elements
-         n = n.then(nd => nd.findElements(By.css(p.tagName+":nth-child("+(p.index)+")"))).then(elems => {
-             if (elems==null || elems.length==0) { console.log("not found"); return null}; 
-             return elems[0];
-         }).catch(e => {console.log("REJECTED PROMISE",e); return null;});
-     }
-     return n;    
-  
-    // if (!useShadowRoot) {
-    //     return node.findElements(By.xpath(path)).then(nodes => {
-    //             if (nodes.length === 0) {
-    //                 return null;
-    //             } else {
-    //                 return nodes[0];
-    //             }
-    //     })
-    // } else {
-    //     let paths = convertPath(path);
-    //     let n = promise.fulfilled(node);
-    //     for (let p of paths) {
-    //         n = n.then(nd => nd.findElements(By.tagName(p.tagName))).then(elems => { // costly since it fetches all elements
-    //             if (elems.length < p.index) { console.log("not found"); return null}; //throw "Element not found "+p.tagName+"["+p.index+"]";
-    //             return elems[p.index-1];
-    //         });
-    //         // n = n.then(nd => nd.findElements(By.css(p.tagName+":nth-child("+(p.index)+")"))).then(elems => {
-    //         //     console.log("*", elems.length);
-    //         //     if (elems.length==0) { console.log("not found"); return null}; //throw "Element not found "+p.tagName+"["+p.index+"]";
-    //         //     return elems[0];
-    //         // });
-    //     }
-    //     return n;
-    // }
+    if (xpath) {
+        if (host) locator = locator.replace(/^(\\(*)\\//, '$1./');
+        return document.evaluate(locator, node, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+    }
+    var parts = locator.split('>>>');
+    for (var i = 0; i < parts.length; i++) {
+        if (i > 0) node = node.shadowRoot;
+        if (!node) return null;
+        node = node.querySelector(parts[i].trim());
+        if (!node) return null;
+    }
+    return node;
+`;
+
+// Returns the first element matched by the XPath expression or CSS selector or null
+export function findElement(driver: WebDriver, locator: string): promise.Promise<WebElement> {
+    return driver.executeScript<WebElement>(FIND_ELEMENT, shadowRootHost, locator, isXPath(locator));
 }
 
 function elemNull(v: any) {
@@ -82,9 +53,10 @@ function elemNull(v: any) {
 
 // driver.findElement(By.xpath("//tbody/tr[1]/td[1]")).getText().then(...) can throw a stale element error: 
 // thus we're using a safer way here:
+// All functions taking an xpath also accept a CSS selector, see isXPath
 export function testTextContains(driver: WebDriver, xpath: string, text: string) {
     return driver.wait(new Condition<boolean>(`testTextContains ${xpath} ${text}`,
-        (driver) => shadowRoot(driver).then(elem => findByXPath(elem, xpath))
+        (driver) => findElement(driver, xpath)
             .then(elem => elem==null ? elemNull(false) : elem.getText().then(
                 v => v && v.indexOf(text)>-1,
                 err => console.log("ignoring error in testTextContains for xpath = "+xpath+" text = "+text,err.toString().split("\n")[0])
@@ -94,7 +66,7 @@ export function testTextContains(driver: WebDriver, xpath: string, text: string)
 
 export function testTextNotContained(driver: WebDriver, xpath: string, text: string) {
     return driver.wait(new Condition<boolean>(`testTextNotContained ${xpath} ${text}`,
-        (driver) => shadowRoot(driver).then(elem => findByXPath(elem, xpath))
+        (driver) => findElement(driver, xpath)
             .then(elem => elem==null ? elemNull(false) : elem.getText().then(
                 v => v && v.indexOf(text)==-1,
                 err => console.log("ignoring error in testTextNotContained for xpath = "+xpath+" text = "+text,err.toString().split("\n")[0])
@@ -104,7 +76,7 @@ export function testTextNotContained(driver: WebDriver, xpath: string, text: str
 
 export function testClassContains(driver: WebDriver, xpath: string, text: string) {
     return driver.wait(new Condition<boolean>(`testClassContains ${xpath} ${text}`,
-        (driver) => shadowRoot(driver).then(elem => findByXPath(elem, xpath))
+        (driver) => findElement(driver, xpath)
             .then(elem => elem==null ? elemNull(false) : elem.getAttribute("class").then(
             v => v && v.indexOf(text)>-1,
             err => console.log("ignoring error in testClassContains for xpath = "+xpath+" text = "+text,err.toString().split("\n")[0])
@@ -115,18 +87,17 @@ export function testClassContains(driver: WebDriver, xpath: string, text: string
 export function testElementLocatedByXpath(driver: WebDriver, xpath: string) {
     // return driver.wait(until.elementLocated(By.xpath(xpath)), 3000);
     return driver.wait(new Condition<boolean>(`testElementLocatedByXpath ${xpath}`, (driver) => 
-            shadowRoot(driver).then(elem => 
-                    elem==null ? elemNull(false) : findByXPath(elem, xpath).then(
+            findElement(driver, xpath).then(
                     (v:any) => v,
                     (err:any) => console.log("ignoring error in testElementLocatedByXpath for xpath = "+xpath,err.toString())
-            ))
+            )
         ), config.TIMEOUT); 
 }
 
 export function testElementNotLocatedByXPath(driver: WebDriver, xpath: string)
 {
     return driver.wait(new Condition<boolean>(`testElementNotLocatedByXPath ${xpath}`,
-        (driver) => shadowRoot(driver).then(elem => findByXPath(elem, xpath)).then(
+        (driver) => findElement(driver, xpath).then(
             v => !v,
             err => console.log("ignoring error in testElementNotLocatedByXPath for xpath = "+xpath,err.toString().split("\n")[0]))
         ), config.TIMEOUT);
@@ -134,7 +105,7 @@ export function testElementNotLocatedByXPath(driver: WebDriver, xpath: string)
 
 export function testElementLocatedById(driver: WebDriver, id: string) {
     return driver.wait(new Condition<boolean>(`testElementLocatedById ${id}`,
-        (driver) => shadowRoot(driver).then(elem => elem.findElement(By.id(id))).then(
+        (driver) => findElementById(driver, id).then(
             v => true,
             err => console.log("ignoring error in testElementLocatedById for id = "+id,err.toString().split("\n")[0]))
         )
@@ -177,11 +148,32 @@ export function forProm(from: number, to: number, fun : (idx: number) => promise
 //     );
 // }
 
+// Center of the element in CSS pixels relative to the viewport after scrolling it into view
+const ELEMENT_CENTER = `
+    var elem = arguments[0];
+    if (elem.scrollIntoViewIfNeeded) elem.scrollIntoViewIfNeeded(true); else elem.scrollIntoView();
+    var rect = elem.getBoundingClientRect();
+    return {x: rect.left + rect.width / 2, y: rect.top + rect.height / 2};
+`;
+
+// Taps the element with a touchstart and touchend. Chrome's gesture detection turns them into a click, so click
+// handlers (also delegated ones) run like on a mobile device. Requires touch emulation, see applyEmulation.
+function tapElement(driver: WebDriver, elem: WebElement): promise.Promise<any> {
+    return driver.executeScript<{x: number, y: number}>(ELEMENT_CENTER, elem)
+        .then(center => sendDevToolsCommand(driver, 'Input.dispatchTouchEvent', {type: 'touchStart', touchPoints: [{x: center.x, y: center.y}]}))
+        .then(() => sendDevToolsCommand(driver, 'Input.dispatchTouchEvent', {type: 'touchEnd', touchPoints: []}));
+}
+
+// Mouse click or a tap in mobile mode
+function clickOrTap(driver: WebDriver, elem: WebElement): promise.Promise<any> {
+    return config.MOBILE ? tapElement(driver, elem) : elem.click();
+}
+
 // Stale element prevention. For aurelia even after a testElementLocatedById clickElementById for the same id can fail
 // No idea how that can be explained
 export function clickElementById(driver: WebDriver, id: string) {
     let count = 0;
-    return retry(5, driver, (driver) => shadowRoot(driver).then(elem => elem.findElement(By.id(id)).click()));
+    return retry(5, driver, (driver) => findElementById(driver, id).then(elem => clickOrTap(driver, elem)));
     // return to(driver.findElement(By.id(id)).click());
 }
 
@@ -189,8 +181,7 @@ export function clickElementByXPath(driver: WebDriver, xpath: string) {
     let count = 0;
     return retry(5, driver, (driver)=> { count++; 
             if (count>1 && config.LOG_DETAILS) console.log("clickElementByXPath ",xpath," attempt #",count);
-            return shadowRoot(driver).then(elem =>  
-            findByXPath(elem, xpath)).then(elem => elem.click() ); });
+            return findElement(driver, xpath).then(elem => clickOrTap(driver, elem)); });
     // Stale element possible:
     // return to(driver.findElement(By.xpath(xpath)).click());
 }
@@ -199,13 +190,15 @@ export function getTextByXPath(driver: WebDriver, xpath: string): promise.Promis
     let count = 0;
     return retry(5, driver, (driver) => { count++; 
             if (count>1 && config.LOG_DETAILS) console.log("getTextByXPath ",xpath," attempt #",count); 
-            return shadowRoot(driver).then(elem =>  
-            findByXPath(elem, xpath)).then(elem => elem.getText());
+            return findElement(driver, xpath).then(elem => elem.getText());
     });
     // Stale element possible:
     // return to(driver.findElement(By.xpath(xpath)).getText());
 }
 
-function shadowRoot(driver: WebDriver) : promise.Promise<WebElement> {
-    return useShadowRoot ? driver.executeScript('return document.querySelector("main-element").shadowRoot') : driver.findElement(By.tagName("body")); 
+function findElementById(driver: WebDriver, id: string) : promise.Promise<WebElement> {
+    return findElement(driver, '#'+id).then(elem => {
+        if (elem==null) throw "Element not found #"+id;
+        return elem;
+    });
 }